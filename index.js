@@ -1,7 +1,9 @@
 require('dotenv').config();
-const { Telegraf, Markup } = require('telegraf');
-const { MongoClient } = require('mongodb');
+const { Telegraf, Markup, Telegram } = require('telegraf');
+const { MongoClient, ObjectId } = require('mongodb');
 const axios = require('axios');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const { searchWebsite } = require('./scrapper/scraper');
 
 // Configuration
@@ -16,6 +18,7 @@ const LOG_CHANNEL_ID = process.env.LOG_CHANNEL_ID ? parseInt(process.env.LOG_CHA
 const FSUB_CHANNEL_ID = process.env.FSUB_CHANNEL_ID ? parseInt(process.env.FSUB_CHANNEL_ID) : null;
 const MONETIZATION_CHANNEL_ID = process.env.MONETIZATION_CHANNEL_ID ? parseInt(process.env.MONETIZATION_CHANNEL_ID) : null;
 const FSUB_LINK = process.env.FSUB_LINK || '';
+const PROTECT_CONTENT = process.env.PROTECT_CONTENT === 'true'; // Stop users forwarding/saving delivered files
 
 
 // God-Mode Configs
@@ -24,6 +27,11 @@ let IS_GROWTH_LOCK = process.env.IS_GROWTH_LOCK === 'true';
 let LAST_MONETIZATION_POST_ID = null;
 let LAST_PING_STATUS = 'Waiting...';
 let LAST_PING_TIME = null;
+// Daily delivery quotas per tier (admins change them with /setquota)
+let QUOTA_LIMITS = {
+    free: { files: 50, batches: 5 },
+    premium: { files: 500, batches: 50 }
+};
 // Feature Constants
 const LANGUAGES = {
     'EN': 'English',
@@ -39,12 +47,101 @@ const LANGUAGES = {
 
 const MULTI_KEYWORDS = ['multi', 'dual', 'dual audio', 'multi audio', 'audios', 'triple', 'eng-hin', 'hin-eng'];
 
+const QUALITIES = ['480p', '720p', '1080p', '1440p', '2160p', '4K', 'HDR', 'CAM', 'HDTS', 'Web-DL', 'BluRay'];
+
+// Release words that never belong to a title (dropped when grouping variants)
+const NAME_NOISE_WORDS = ['dual', 'multi', 'audio', 'audios', 'web', 'dl', 'webrip', 'hdrip', 'bdrip', 'dvdrip', 'hevc', 'x264', 'x265', 'h264', 'h265', 'esub', 'esubs', 'org', 'uncut'];
+
 const YEARS = [];
 for (let y = new Date().getFullYear(); y >= 2000; y--) YEARS.push(y.toString());
 
+// Indexable media types and the Bot API method that delivers each one
+const MEDIA_SEND_METHODS = {
+    document: 'sendDocument',
+    video: 'sendVideo',
+    audio: 'sendAudio',
+    photo: 'sendPhoto',
+    animation: 'sendAnimation'
+};
+
 const RESULTS_PER_PAGE = 10;
+const INLINE_RESULTS_PER_PAGE = 20; // Telegram allows up to 50 inline results per answer
+const SEARCH_CANDIDATE_LIMIT = 1000; // Best text-score hits that get relevance-ranked and sorted (common words hit most files)
+
+// Result sort orders (key is kept in the search session)
+const SORT_OPTIONS = {
+    r: { label: '🎯 Relevance', name: 'Relevance', order: {} },
+    // Files indexed before indexed_at existed have no timestamp; they follow, newest _id first
+    n: { label: '🆕 Newest', name: 'Newest', order: { indexed_at: -1, _id: -1 } },
+    l: { label: '⬆️ Largest', name: 'Largest', order: { file_size: -1 } },
+    s: { label: '⬇️ Smallest', name: 'Smallest', order: { file_size: 1 } }
+};
 const AUTO_DELETE_SECONDS = 3600; // 60 minutes for files
 const SEARCH_DELETE_SECONDS = 120; // 2 minutes for search results
+const START_PAYLOAD_MAX = 64; // Telegram ignores longer ?start= parameters
+const SEARCH_SESSION_TTL_SECONDS = 86400; // Search sessions expire a day after their last use
+const DELETION_POLL_SECONDS = 5; // How often the auto-delete worker looks for due messages
+const DELETION_MAX_ATTEMPTS = 5; // Transient failures are retried this many times
+
+// Outbound rate limits (Telegram allows ~30 messages/second overall and 20/minute into one group)
+const SEND_GLOBAL_PER_SECOND = 25;
+const SEND_GROUP_PER_MINUTE = 20;
+const SEND_CHANNEL_PER_MINUTE = 60; // Channels the bot posts to (log and source channels) aren't bound by the group limit
+const SEND_PRIVATE_BURST = 5; // Private chats: up to 5 messages per 5 seconds (about one per second)
+const SEND_MAX_RETRIES = 3; // 429 responses are retried this many times before the caller sees the error
+const SEND_QUEUE_MAX = 2000; // Calls beyond this fail at once instead of waiting behind the backlog
+const LOG_BACKLOG_MAX = 50; // Log messages are dropped while this many are already waiting
+const DELETED_FILE_RETENTION_DAYS = 7; // Deleted files can be restored (undo) for this long
+const BROKEN_FILE_THRESHOLD = 3; // Failed deliveries (invalid file_id) before a file is quarantined
+const INDEX_JOB_SAVE_EVERY = 10; // Indexing jobs persist their cursor and progress every N messages
+const INDEX_JOB_REPORT_KEPT = 50; // Duplicate collisions remembered per indexing job
+const INDEX_JOB_REPORT_SHOWN = 10; // ...and listed in its progress/summary message
+const INDEX_JOB_MAX_GAP = 50; // Unreadable messages in a row that end a job early (the start of the channel)
+
+// Columns of /export_index (export key -> document field); /import_index reads the same keys
+const EXPORT_FIELDS = [
+    ['file_id', '_id'],
+    ['file_unique_id', 'file_ref'],
+    ['file_name', 'file_name'],
+    ['raw_name', 'raw_name'],
+    ['file_size', 'file_size'],
+    ['file_type', 'file_type'],
+    ['mime_type', 'mime_type'],
+    ['caption', 'caption'],
+    ['source_chat_id', 'source_chat_id'],
+    ['source_message_id', 'source_message_id']
+];
+const EXPORT_PART_BYTES = 20 * 1024 * 1024; // Uncompressed cap per export part, so each .gz stays under the 20 MB bot download limit
+
+// Settings a newly registered source channel starts with
+const DEFAULT_CHANNEL_SETTINGS = { auto_index: true, paused: false, default_lang: null, cleanup_profile: 'default' };
+
+// File-name cleanup rules (name_rules collection) are grouped into profiles; channels pick one
+const NAME_RULE_TYPES = {
+    strip: 'Remove text matching a regex',
+    brackets: 'Remove bracketed segments, e.g. [] {}',
+    sep: 'Replace separator characters with spaces',
+    keep: 'Whitelist a tag (never stripped)'
+};
+
+// Rules created on first run (the former built-in profiles; channels start on 'default', a copy of basic)
+const SEED_NAME_RULES = [
+    { profile: 'default', type: 'strip', value: '(?:https?:\\/\\/|www\\.)\\S+' },
+    { profile: 'default', type: 'strip', value: '(?:^|\\s)@\\w+' },
+    { profile: 'default', type: 'strip', value: '[\\p{Extended_Pictographic}\\uFE0F]' },
+    { profile: 'basic', type: 'strip', value: '(?:https?:\\/\\/|www\\.)\\S+' },
+    { profile: 'basic', type: 'strip', value: '(?:^|\\s)@\\w+' },
+    { profile: 'basic', type: 'strip', value: '[\\p{Extended_Pictographic}\\uFE0F]' },
+    { profile: 'strict', type: 'strip', value: '(?:https?:\\/\\/|www\\.)\\S+' },
+    { profile: 'strict', type: 'strip', value: '(?:^|\\s)@\\w+' },
+    { profile: 'strict', type: 'strip', value: '[\\p{Extended_Pictographic}\\uFE0F]' },
+    { profile: 'strict', type: 'brackets', value: '[]{}' },
+    { profile: 'strict', type: 'sep', value: '._' }
+];
+const FUZZY_MIN_SIMILARITY = 0.35; // Trigram similarity needed to correct a misspelled word
+const MAX_SEASON_BUTTONS = 30; // Seasons shown in the series picker
+const MAX_SEASON_FILES = 50; // Episodes sent by "Get Whole Season"
+const FILE_META_VERSION = 3; // Bump when parseFileName learns a new field (re-runs the backfill)
 
 // Bot start time for uptime tracking
 const BOT_START_TIME = Date.now();
@@ -110,12 +207,129 @@ const FINAL_MONGO_URI = MONGO_URI.trim();
 // Initialize bot
 const bot = new Telegraf(FINAL_BOT_TOKEN);
 
+// Handle updates detached from polling: Telegraf fetches the next batch only after every handler of the current
+// one returns, and queued sends (a 100-file batch is ~100 s into one PM) would otherwise stall the bot for everyone
+bot.use((ctx, next) => {
+    next()
+        .catch(error => bot.handleError(error, ctx))
+        .catch(error => console.error('Unhandled update error:', error));
+});
+
+// Outbound send queue: every Telegram call that posts, edits or deletes messages (ctx.telegram and bot.telegram
+// alike) waits here for a global and a per-chat slot; 429 responses are retried after their retry_after.
+const THROTTLED_METHODS = /^(send|copyMessage|forwardMessage|editMessage|deleteMessage)/;
+const sendQueue = [];
+const sendWindows = new Map(); // 'global' or chat_id -> start times of recent calls
+const chatCooldowns = new Map(); // chat_id -> end of a 429 cooldown
+let sendQueueTimer = null;
+let droppedLogs = 0;
+
+// Helper: ms until a rate window has room again (0 = free now)
+function getWindowDelay(key, limit, windowMs, now) {
+    const times = (sendWindows.get(key) || []).filter(t => t > now - windowMs);
+    if (times.length > 0) sendWindows.set(key, times);
+    else sendWindows.delete(key);
+    return times.length < limit ? 0 : times[0] + windowMs - now;
+}
+
+// Helper: Per-chat limit as [calls, window ms]; groups and channels have negative IDs
+function getChatLimit(chatId) {
+    const id = Number(chatId);
+    if (id === LOG_CHANNEL_ID || sourceChannels.has(id)) return [SEND_CHANNEL_PER_MINUTE, 60 * 1000];
+    return id < 0 ? [SEND_GROUP_PER_MINUTE, 60 * 1000] : [SEND_PRIVATE_BURST, SEND_PRIVATE_BURST * 1000];
+}
+
+// Start every queued call that has a free slot, then sleep until the next one could go
+function pumpSendQueue() {
+    clearTimeout(sendQueueTimer);
+    sendQueueTimer = null;
+    let nextWait = Infinity;
+
+    for (let i = 0; i < sendQueue.length;) {
+        const job = sendQueue[i];
+        const now = Date.now();
+        const chatId = job.payload.chat_id;
+        // Deletions only count towards the global limit
+        const perChat = chatId !== undefined && !job.method.startsWith('delete');
+        const cooldown = chatCooldowns.get(chatId) || 0;
+        if (cooldown && cooldown <= now) chatCooldowns.delete(chatId);
+
+        const wait = Math.max(
+            job.not_before - now,
+            cooldown - now,
+            getWindowDelay('global', SEND_GLOBAL_PER_SECOND, 1000, now),
+            perChat ? getWindowDelay(chatId, ...getChatLimit(chatId), now) : 0
+        );
+        if (wait > 0) {
+            nextWait = Math.min(nextWait, wait);
+            i++;
+            continue;
+        }
+
+        sendWindows.set('global', [...(sendWindows.get('global') || []), now]);
+        if (perChat) sendWindows.set(chatId, [...(sendWindows.get(chatId) || []), now]);
+        sendQueue.splice(i, 1);
+        runQueuedCall(job);
+    }
+
+    if (nextWait !== Infinity) sendQueueTimer = setTimeout(pumpSendQueue, nextWait);
+}
+
+// Helper: Make the real API call; flood waits go back to the front of the queue
+async function runQueuedCall(job) {
+    try {
+        job.resolve(await callTelegramApi.call(job.telegram, job.method, job.payload, job.options));
+    } catch (error) {
+        const retryAfter = error.response?.error_code === 429 && error.response.parameters?.retry_after;
+        if (!retryAfter || job.attempts >= SEND_MAX_RETRIES) return job.reject(error);
+
+        console.log(`⏳ Flood wait: ${job.method} to ${job.payload.chat_id} retried in ${retryAfter}s`);
+        job.attempts++;
+        job.not_before = Date.now() + retryAfter * 1000;
+        if (job.payload.chat_id !== undefined) chatCooldowns.set(job.payload.chat_id, job.not_before);
+        sendQueue.unshift(job);
+        pumpSendQueue();
+    }
+}
+
+// Route Telegram API calls through the send queue (patched on the prototype: each update gets its own ctx.telegram)
+const callTelegramApi = Telegram.prototype.callApi;
+Telegram.prototype.callApi = function (method, payload = {}, options) {
+    if (!THROTTLED_METHODS.test(method)) return callTelegramApi.call(this, method, payload, options);
+    if (sendQueue.length >= SEND_QUEUE_MAX) return Promise.reject(new Error('Send queue is full'));
+    return new Promise((resolve, reject) => {
+        sendQueue.push({ telegram: this, method, payload, options, attempts: 0, not_before: 0, resolve, reject });
+        pumpSendQueue();
+    });
+};
+
+// Helper: Send queue summary for the admin dashboard
+function formatSendQueueStatus() {
+    return `\`${sendQueue.length}\` waiting` +
+        (chatCooldowns.size > 0 ? `, \`${chatCooldowns.size}\` chats in flood wait` : '') +
+        (droppedLogs > 0 ? `, \`${droppedLogs}\` logs dropped` : '');
+}
+
 // MongoDB client
 let db;
 let filesCollection;
 let usersCollection;
 let trendingCollection;
 let blockedKeywordsCollection;
+let termsCollection;
+let searchSessionsCollection;
+let indexJobsCollection;
+let channelsCollection;
+let nameRulesCollection;
+let packsCollection;
+let migrationsCollection;
+let deletedFilesCollection;
+let scheduledDeletionsCollection;
+let quotasCollection;
+let deletionWorkerBusy = false;
+const nameRuleProfiles = new Map(); // Compiled cleanup rules by profile (cache of nameRulesCollection)
+const sourceChannels = new Map(); // Registered database channels by chat ID (cache of channelsCollection)
+const runningIndexJobs = new Set(); // Indexing job IDs being processed by this instance
 
 // Connect to MongoDB
 async function connectDB() {
@@ -131,6 +345,16 @@ async function connectDB() {
         requestsCollection = db.collection('requests');
         settingsCollection = db.collection('settings');
         blockedKeywordsCollection = db.collection('blocked_keywords');
+        termsCollection = db.collection('title_terms');
+        searchSessionsCollection = db.collection('search_sessions');
+        indexJobsCollection = db.collection('index_jobs');
+        channelsCollection = db.collection('channels');
+        nameRulesCollection = db.collection('name_rules');
+        packsCollection = db.collection('packs');
+        migrationsCollection = db.collection('migrations');
+        deletedFilesCollection = db.collection('deleted_files');
+        scheduledDeletionsCollection = db.collection('scheduled_deletions');
+        quotasCollection = db.collection('user_quotas');
 
         // Activity Logger Middleware
         bot.use(async (ctx, next) => {
@@ -175,45 +399,283 @@ async function connectDB() {
         const lastPost = await settingsCollection.findOne({ key: 'last_monetization_post' });
         if (lastPost) LAST_MONETIZATION_POST_ID = lastPost.value;
 
-        // Create indexes
-        await filesCollection.createIndex({ file_name: 'text' });
+        const quotas = await settingsCollection.findOne({ key: 'quota_limits' });
+        if (quotas) QUOTA_LIMITS = { ...QUOTA_LIMITS, ...quotas.value };
+
+        // Schema changes and indexes (each migration runs once, in order)
+        await runMigrations();
 
-        // Migration: Rename 'language' to 'file_lang' for existing documents (MongoDB Conflict Fix)
-        const oldDocs = await filesCollection.findOne({ language: { $exists: true } });
-        if (oldDocs) {
-            console.log('🔄 MongoDB Migration: Renaming "language" field to "file_lang"...');
+        // Migration: Store parsed metadata on existing documents (runs in background, once)
+        backfillFileMetadata().catch(err => console.error('❌ Metadata backfill error:', err));
+
+        // Source channel registry (DATABASE_CHANNEL_ID is seeded once by migration 010)
+        await loadSourceChannels();
+        await loadNameRules();
+
+        // Batch indexing jobs survive restarts and pick up from their saved cursor
+        resumeIndexJobs().catch(err => console.error('❌ Index job resume error:', err));
+
+        // Auto-delete queue worker (messages scheduled before a restart are still cleaned up)
+        setInterval(processDueDeletions, DELETION_POLL_SECONDS * 1000);
+
+        console.log('✅ Database ready (migrations up to date)');
+    } catch (error) {
+        console.error(error.migration ? `❌ Migration ${error.migration} failed, stopping startup:` : '❌ MongoDB connection error:', error);
+        process.exit(1);
+    }
+}
+
+// Database migrations: ordered, idempotent steps recorded in the migrations collection.
+// Never edit or reorder an applied step; add a new one instead.
+const MIGRATIONS = [
+    {
+        id: '001_rename_language_to_file_lang',
+        description: 'Rename "language" to "file_lang" (MongoDB text index language override conflict)',
+        up: async () => {
             await filesCollection.updateMany(
                 { language: { $exists: true } },
                 { $rename: { language: 'file_lang' } }
             );
-            console.log('✅ Migration complete: Global language override conflict resolved.');
         }
+    },
+    {
+        id: '002_files_search_indexes',
+        description: 'Text index and metadata filter indexes on files',
+        up: async () => {
+            await filesCollection.createIndex({ file_name: 'text' });
+            // Language and quality hold every detected value; a compound index may hold only one array field
+            await filesCollection.createIndex({ file_langs: 1, year: 1 });
+            await filesCollection.createIndex({ qualities: 1, year: 1 });
+            await filesCollection.createIndex({ year: 1 });
+            await filesCollection.createIndex({ season: 1, episode: 1 });
+            await filesCollection.createIndex({ meta_v: 1 });
+            await filesCollection.createIndex({ title_key: 1, year: 1 });
+            await filesCollection.createIndex({ indexed_at: -1 });
+        }
+    },
+    {
+        id: '003_title_terms_index',
+        description: 'Trigram index on the title vocabulary',
+        up: async () => {
+            await termsCollection.createIndex({ grams: 1 });
+        }
+    },
+    {
+        id: '004_unique_file_ref',
+        description: 'Merge files stored under several file_ids and make file_unique_id unique',
+        up: async () => {
+            await mergeDuplicateFiles();
+            await filesCollection.createIndex(
+                { file_ref: 1 },
+                { unique: true, partialFilterExpression: { file_ref: { $type: 'string' } } }
+            );
+        }
+    },
+    {
+        id: '005_unique_user_id',
+        description: 'Remove users without user_id and make user_id unique',
+        up: async () => {
+            await usersCollection.deleteMany({ user_id: null });
+            await usersCollection.createIndex({ user_id: 1 }, { unique: true });
+        }
+    },
+    {
+        id: '006_ttl_indexes',
+        description: 'Expire trending, requests and search sessions',
+        up: async () => {
+            await trendingCollection.createIndex({ last_searched: 1 }, { expireAfterSeconds: 86400 * 7 }); // 7 days
+            await requestsCollection.createIndex({ last_requested: 1 }, { expireAfterSeconds: 86400 * 7 }); // 7 days
+            await searchSessionsCollection.createIndex({ updated_at: 1 }, { expireAfterSeconds: SEARCH_SESSION_TTL_SECONDS });
+        }
+    },
+    {
+        id: '007_index_jobs_index',
+        description: 'Index batch indexing jobs by status',
+        up: async () => {
+            await indexJobsCollection.createIndex({ status: 1, created_at: -1 });
+        }
+    },
+    {
+        id: '008_packs_indexes',
+        description: 'Album (pack) lookup indexes',
+        up: async () => {
+            await filesCollection.createIndex({ pack_id: 1, source_message_id: 1 });
+            await packsCollection.createIndex({ chat_id: 1, media_group_id: 1 }, { unique: true });
+        }
+    },
+    {
+        id: '009_seed_name_rules',
+        description: 'Create the default/basic/strict file-name cleanup profiles',
+        up: async () => {
+            await nameRulesCollection.insertMany(SEED_NAME_RULES.map((rule, i) => ({
+                _id: new ObjectId(), ...rule, created_at: new Date(Date.now() + i)
+            })));
+        }
+    },
+    {
+        id: '010_seed_database_channel',
+        description: 'Register DATABASE_CHANNEL_ID as a source channel (once, so /channel_remove survives restarts)',
+        up: async () => {
+            if (!DATABASE_CHANNEL_ID) return;
+            let title = String(DATABASE_CHANNEL_ID);
+            try {
+                title = (await bot.telegram.getChat(DATABASE_CHANNEL_ID)).title || title;
+            } catch (e) {
+                console.error('Could not fetch the DATABASE_CHANNEL_ID title:', e.message);
+            }
+            await channelsCollection.updateOne(
+                { _id: DATABASE_CHANNEL_ID },
+                { $setOnInsert: { ...DEFAULT_CHANNEL_SETTINGS, title, added_at: new Date() } },
+                { upsert: true }
+            );
+        }
+    },
+    {
+        id: '011_build_title_terms',
+        description: 'Build the title vocabulary for typo-tolerant search (then maintained by indexFile/deletes)',
+        up: buildTermIndex
+    },
+    {
+        id: '012_broken_files_indexes',
+        description: 'Index quarantined files for /broken and the short refs their buttons carry',
+        up: async () => {
+            await filesCollection.createIndex({ broken: 1, broken_at: -1 }, { partialFilterExpression: { broken: true } });
+            await filesCollection.createIndex({ short_ref: 1 }, { unique: true, partialFilterExpression: { short_ref: { $type: 'string' } } });
+        }
+    },
+    {
+        id: '013_deleted_files_retention',
+        description: 'Expire soft-deleted files after the undo window',
+        up: async () => {
+            await deletedFilesCollection.createIndex({ deleted_at: 1 }, { expireAfterSeconds: DELETED_FILE_RETENTION_DAYS * 86400 });
+        }
+    },
+    {
+        id: '014_scheduled_deletions_index',
+        description: 'Due-time index for the auto-delete queue',
+        up: async () => {
+            await scheduledDeletionsCollection.createIndex({ run_at: 1 });
+        }
+    }
+];
 
-        // Fix: Remove documents with null user_id before creating unique index
-        await usersCollection.deleteMany({ user_id: null });
-        await usersCollection.createIndex({ user_id: 1 }, { unique: true });
-
-        // TTL Indexes for memory optimization (Auto-delete old data)
-        await trendingCollection.createIndex({ last_searched: 1 }, { expireAfterSeconds: 86400 * 7 }); // 7 days
-        await requestsCollection.createIndex({ last_requested: 1 }, { expireAfterSeconds: 86400 * 7 }); // 7 days
+// Helper: Migrations not yet recorded as applied
+async function getPendingMigrations() {
+    const applied = await migrationsCollection.find({}, { projection: { _id: 1 } }).toArray();
+    const appliedIds = new Set(applied.map(m => m._id));
+    return MIGRATIONS.filter(m => !appliedIds.has(m.id));
+}
 
-        console.log('✅ Collection indexes & TTL created');
-    } catch (error) {
-        console.error('❌ MongoDB connection error:', error);
-        process.exit(1);
+// Apply pending migrations in order; the first failure stops (later steps may depend on it)
+async function runMigrations() {
+    for (const migration of await getPendingMigrations()) {
+        console.log(`🔄 MongoDB Migration: ${migration.id} - ${migration.description}...`);
+        const startTime = Date.now();
+        try {
+            await migration.up();
+        } catch (error) {
+            error.migration = migration.id;
+            throw error;
+        }
+        await migrationsCollection.insertOne({
+            _id: migration.id,
+            description: migration.description,
+            applied_at: new Date(),
+            duration_ms: Date.now() - startTime
+        });
+        console.log(`✅ Migration complete: ${migration.id}`);
     }
 }
 
-// Helper: Send log to log channel
+// Helper: Send log to log channel. Callers don't wait for the send queue, and while
+// the log channel is backed up new entries are dropped instead of queued.
 async function sendLog(message, parseMode = 'Markdown') {
     if (!LOG_CHANNEL_ID) return;
 
+    if (sendQueue.filter(job => job.payload.chat_id === LOG_CHANNEL_ID).length >= LOG_BACKLOG_MAX) {
+        droppedLogs++;
+        return;
+    }
+    bot.telegram.sendMessage(LOG_CHANNEL_ID, message, {
+        parse_mode: parseMode
+    }).catch(error => console.error('Error sending log:', error.message));
+}
+
+// Helper: Queue messages ({ chat_id, message_id }) for deletion after a delay; stored in MongoDB so restarts don't lose it.
+// notice ({ chat_id, text, delete_after }) is sent once the messages are gone and is itself deleted after delete_after seconds.
+async function scheduleDeletion(messages, delaySeconds, notice = null) {
+    const list = messages.filter(m => m && m.chat_id && m.message_id);
+    if (list.length === 0 && !notice) return;
+
+    await scheduledDeletionsCollection.insertOne({
+        messages: list,
+        notice,
+        run_at: new Date(Date.now() + delaySeconds * 1000),
+        attempts: 0,
+        created_at: new Date()
+    }).catch(err => console.error('Error scheduling deletion:', err));
+}
+
+// Helper: Delete one queued job's messages; transient failures are retried with backoff
+async function runDeletionJob(job) {
+    const remaining = [];
+    let deleted = 0;
+    let retryAfter = 0;
+    let lastError = null;
+
+    for (const msg of job.messages) {
+        try {
+            await bot.telegram.deleteMessage(msg.chat_id, msg.message_id);
+            deleted++;
+        } catch (error) {
+            const code = error.response?.error_code;
+            // Already gone, too old, or the user blocked the bot: nothing to retry
+            if (code === 400 || code === 403) continue;
+            remaining.push(msg);
+            retryAfter = Math.max(retryAfter, error.response?.parameters?.retry_after || 0);
+            lastError = error.message;
+        }
+    }
+
+    if (remaining.length > 0 && job.attempts + 1 < DELETION_MAX_ATTEMPTS) {
+        const backoff = Math.max(retryAfter, 30 * 2 ** job.attempts);
+        await scheduledDeletionsCollection.updateOne(
+            { _id: job._id },
+            { $set: { messages: remaining, run_at: new Date(Date.now() + backoff * 1000), last_error: lastError }, $inc: { attempts: 1 } }
+        );
+        return;
+    }
+
+    if (job.notice && (deleted > 0 || job.messages.length === 0)) {
+        try {
+            const sent = await bot.telegram.sendMessage(job.notice.chat_id, job.notice.text, { parse_mode: 'Markdown' });
+            if (job.notice.delete_after) {
+                await scheduleDeletion([{ chat_id: job.notice.chat_id, message_id: sent.message_id }], job.notice.delete_after);
+            }
+        } catch (e) { }
+    }
+
+    await scheduledDeletionsCollection.deleteOne({ _id: job._id });
+}
+
+// Worker tick: claim and run every due deletion job (claiming pushes run_at ahead, so a crash mid-job retries it)
+async function processDueDeletions() {
+    if (deletionWorkerBusy) return;
+    deletionWorkerBusy = true;
     try {
-        await bot.telegram.sendMessage(LOG_CHANNEL_ID, message, {
-            parse_mode: parseMode
-        });
+        while (true) {
+            const job = await scheduledDeletionsCollection.findOneAndUpdate(
+                { run_at: { $lte: new Date() } },
+                { $set: { run_at: new Date(Date.now() + 60 * 1000) } },
+                { sort: { run_at: 1 } }
+            );
+            if (!job) break;
+            await runDeletionJob(job);
+        }
     } catch (error) {
-        console.error('Error sending log:', error.message);
+        console.error('Auto-delete worker error:', error);
+    } finally {
+        deletionWorkerBusy = false;
     }
 }
 
@@ -239,10 +701,18 @@ function formatFileSize(bytes) {
     return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
 }
 
-// Helper: Escape markdown special characters
+// Helper: Escape text for parse_mode 'Markdown' (the legacy mode every message uses; only _ * ` [ are special)
 function escapeMarkdown(text) {
     if (!text) return '';
-    return text.replace(/[_*[\]()~`>#+\-=|{}.!]/g, '\\$&');
+    return text.replace(/[_*`[]/g, '\\$&');
+}
+
+// Helper: Text for inside a *bold*, _italic_ or `code` span. Backslash escapes don't apply there,
+// so the span's own delimiter (the only special character inside it) is swapped for a look-alike.
+const MARKDOWN_SPAN_SUBSTITUTES = { '*': '∗', '_': ' ', '`': "'" };
+function escapeMarkdownSpan(text, delimiter) {
+    if (!text) return '';
+    return text.split(delimiter).join(MARKDOWN_SPAN_SUBSTITUTES[delimiter]);
 }
 
 // Helper: Escape regex special characters
@@ -250,36 +720,127 @@ function escapeRegex(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+// Helper: Normalized title of a file name, shared by every variant of the same release
+// e.g. "[TG] Leo.2023.Tamil.1080p.mkv" and "Leo (2023) 720p HDRip.mp4" -> "leo"
+function normalizeTitle(fileName) {
+    let name = fileName
+        .replace(/\.[a-z0-9]{2,4}$/i, '')
+        .replace(/^(?:\s*(?:\[[^\]]*\]|\([^)]*\)|@\w+|www\.\S+)[\s\-_.]*)+/i, '');
+
+    // The title ends at the first year, season/episode marker (S01, 1x05, Season 2, Episode 3), resolution or bracket
+    const cut = name.search(/(?<![\dx])(?:19|20)\d{2}(?![\dx])|(?<![a-z0-9])s\d{1,2}(?![0-9])|(?<![\dx])\d{1,2}x\d{2,3}(?![\dp])|(?<![a-z0-9])(?:season|episode|ep)[\W_]*\d|\d{3,4}p|\d{3,4}x\d{3,4}|[[(]/i);
+    if (cut > 0) name = name.slice(0, cut);
+
+    const noise = new Set([
+        ...Object.values(LANGUAGES).map(l => l.toLowerCase()),
+        ...QUALITIES.map(q => q.toLowerCase()),
+        ...NAME_NOISE_WORDS
+    ]);
+    const words = tokenizeQuery(name).filter(w => !noise.has(w));
+    return words.length > 0 ? words.join(' ') : tokenizeQuery(fileName).join(' ');
+}
+
 // Helper: Parse file name for language, year, and quality
 function parseFileName(fileName) {
-    const quality = ['480p', '720p', '1080p', '1440p', '2160p', '4K', 'HDR', 'CAM', 'HDTS', 'Web-DL', 'BluRay'];
-
-    const yearMatch = fileName.match(/\b(19\d{2}|20\d{2})\b/);
-    const qualityMatch = quality.find(q => fileName.toLowerCase().includes(q.toLowerCase()));
-
-    let detectedLangCode = null;
+    // Digits/letters glued to "_" or "." still count as separate words in file names (but not 1920x1080)
+    const yearMatch = fileName.match(/(?<![\dx])(19\d{2}|20\d{2})(?![\dx])/);
     const lowerName = fileName.toLowerCase();
+    // Every quality tag counts ("2160p 4K" is both), as a whole word only (no CAM in "Cameron", no HDR in "HDRip")
+    const qualities = QUALITIES.filter(q => new RegExp(`(?<![a-z0-9])${escapeRegex(q.toLowerCase())}(?![a-z0-9])`).test(lowerName));
+
+    // Every language named in the file ("Hindi Tamil" matches both filters); Multi first
+    const langCodes = [];
+    if (MULTI_KEYWORDS.some(k => lowerName.includes(k))) langCodes.push('MU');
+    for (const [code, lang] of Object.entries(LANGUAGES)) {
+        if (code === 'MU') continue;
+        // Two-letter codes only as whole words ("en" is inside half the titles)
+        const codePattern = new RegExp(`(?<![a-z])${code.toLowerCase()}(?![a-z])`);
+        if (lowerName.includes(lang.toLowerCase()) || codePattern.test(lowerName)) {
+            langCodes.push(code);
+        }
+    }
 
-    // Check Multi first
-    if (MULTI_KEYWORDS.some(k => lowerName.includes(k))) {
-        detectedLangCode = 'MU';
+    // Series: S01E05, S01 EP05, 1x05, or Season/Episode spelled out (S01 alone = season pack)
+    let season = null;
+    let episode = null;
+    const seMatch = fileName.match(/(?<![a-z0-9])s(\d{1,2})[\W_]*e(?:p|pisode)?[\W_]*(\d{1,3})(?!\d)/i) ||
+        fileName.match(/(?<![\dx])(\d{1,2})x(\d{2,3})(?![\dp])/i);
+    if (seMatch) {
+        season = parseInt(seMatch[1]);
+        episode = parseInt(seMatch[2]);
     } else {
-        for (const [code, lang] of Object.entries(LANGUAGES)) {
-            if (code === 'MU') continue;
-            if (lowerName.includes(lang.toLowerCase()) || lowerName.includes(code.toLowerCase())) {
-                detectedLangCode = code;
-                break;
-            }
-        }
+        const seasonMatch = fileName.match(/(?<![a-z0-9])(?:s|season[\W_]*)(\d{1,2})(?!\d)/i);
+        const episodeMatch = fileName.match(/(?<![a-z0-9])(?:ep|episode)[\W_]*(\d{1,3})(?!\d)/i);
+        if (seasonMatch) season = parseInt(seasonMatch[1]);
+        if (episodeMatch) episode = parseInt(episodeMatch[1]);
     }
 
     return {
         year: yearMatch ? yearMatch[1] : null,
-        file_lang: detectedLangCode,
-        quality: qualityMatch || null
+        file_lang: langCodes[0] || null,
+        file_langs: langCodes,
+        quality: qualities[0] || null,
+        qualities,
+        season,
+        episode,
+        title_key: normalizeTitle(fileName)
     };
 }
 
+// Helper: Split free text into a title query and detected filters
+// e.g. "leo 2023 1080p tamil" -> { query: 'leo', filters: { year: '2023', quality: '1080p', file_lang: 'TA' } }
+function parseSearchQuery(text) {
+    const words = text.trim().split(/\s+/);
+    const maxYear = new Date().getFullYear() + 1;
+    const filters = {};
+    const titleWords = [];
+
+    for (let i = 0; i < words.length; i++) {
+        // Ignore wrapping punctuation such as "(2023)" or "[1080p]"
+        const word = words[i].toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+        const next = (words[i + 1] || '').toLowerCase();
+        const quality = QUALITIES.find(q => q.toLowerCase() === word);
+        const langCode = Object.keys(LANGUAGES).find(code => code !== 'MU' && LANGUAGES[code].toLowerCase() === word);
+        let match;
+
+        if (!filters.year && /^(19|20)\d{2}$/.test(word) && parseInt(word) <= maxYear) {
+            filters.year = word;
+        } else if (!filters.quality && quality) {
+            filters.quality = quality;
+        } else if (!filters.file_lang && langCode) {
+            filters.file_lang = langCode;
+        } else if (!filters.file_lang && ['multi', 'dual'].includes(word)) {
+            filters.file_lang = 'MU';
+            if (next === 'audio') i++;
+        } else if ((match = word.match(/^s(\d{1,2})(?:e(\d{1,3}))?$/) || word.match(/^(\d{1,2})x(\d{1,3})$/))) {
+            filters.season = String(parseInt(match[1]));
+            if (match[2]) filters.episode = String(parseInt(match[2]));
+        } else if ((match = word.match(/^(?:e|ep|episode)(\d{1,3})$/))) {
+            filters.episode = String(parseInt(match[1]));
+        } else if (['season', 'episode', 'ep'].includes(word) && /^\d{1,3}$/.test(next)) {
+            filters[word === 'season' ? 'season' : 'episode'] = String(parseInt(next));
+            i++;
+        } else {
+            titleWords.push(words[i]);
+        }
+    }
+
+    // Nothing left but filter-like words (e.g. "1917"): that is the title
+    if (titleWords.length === 0) return { query: text.trim(), filters: {} };
+
+    return { query: titleWords.join(' '), filters };
+}
+
+// Helper: Label for the season filter
+function formatSeasonLabel(season) {
+    return season === 'all' ? 'All Seasons' : `Season ${season}`;
+}
+
+// Helper: Check if any search filter is set
+function hasActiveFilters(filters) {
+    return !!(filters.file_lang || filters.year || filters.quality || filters.season || filters.episode);
+}
+
 // Helper: Escape regex characters
 function escapeRegex(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -334,6 +895,89 @@ async function isPremium(userId) {
     return user ? !!user.isPremium : false;
 }
 
+// Helper: Today's quota day (quotas reset at midnight UTC)
+function getQuotaDay() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Helper: Time left until quotas reset, e.g. "5h 12m"
+function formatQuotaReset() {
+    const now = new Date();
+    const reset = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    const mins = Math.ceil((reset - now.getTime()) / 60000);
+    return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
+// Helper: A user's daily limits (admin override on the user, else their tier)
+async function getQuotaLimits(userId) {
+    const user = await usersCollection.findOne({ user_id: userId }, { projection: { isPremium: 1, quota: 1 } });
+    const tier = user && user.isPremium ? QUOTA_LIMITS.premium : QUOTA_LIMITS.free;
+    return { ...tier, ...(user?.quota || {}) };
+}
+
+// Helper: Today's usage and what is left of it
+async function getQuotaStatus(userId) {
+    const [limits, usage] = await Promise.all([
+        getQuotaLimits(userId),
+        quotasCollection.findOne({ _id: userId, day: getQuotaDay() })
+    ]);
+    const files = usage?.files || 0;
+    const batches = usage?.batches || 0;
+    return { limits, files, batches, filesLeft: Math.max(0, limits.files - files), batchesLeft: Math.max(0, limits.batches - batches) };
+}
+
+// Helper: Quota lines shown to users
+function formatQuotaStatus(status) {
+    if (status.unlimited) return '';
+    return `📊 *Left today:* ${status.filesLeft}/${status.limits.files} files, ${status.batchesLeft}/${status.limits.batches} batches\n` +
+        `🔄 _Resets in ${formatQuotaReset()}_`;
+}
+
+// Helper: Reserve quota for a delivery; returns the status after it, or null when it doesn't fit (admins are unlimited)
+async function consumeQuota(userId, files, batches = 0) {
+    if (isAdmin(userId)) return { unlimited: true };
+
+    const limits = await getQuotaLimits(userId);
+    if (files > limits.files || batches > limits.batches) return null;
+
+    // The first delivery of a new day starts a fresh counter
+    const day = getQuotaDay();
+    await quotasCollection.updateOne({ _id: userId, day: { $ne: day } }, { $set: { day, files: 0, batches: 0 } });
+
+    try {
+        const usage = await quotasCollection.findOneAndUpdate(
+            { _id: userId, day, files: { $lte: limits.files - files }, batches: { $lte: limits.batches - batches } },
+            { $inc: { files, batches } },
+            { upsert: true, returnDocument: 'after' }
+        );
+        return { limits, files: usage.files, batches: usage.batches, filesLeft: limits.files - usage.files, batchesLeft: limits.batches - usage.batches };
+    } catch (error) {
+        // Today's counter exists but has no room: the upsert collides with it
+        if (error.code === 11000) return null;
+        throw error;
+    }
+}
+
+// Helper: Give back quota for files that could not be delivered
+async function refundQuota(userId, status, files, batches = 0) {
+    if (status.unlimited || (files <= 0 && batches <= 0)) return;
+    status.filesLeft += files;
+    status.batchesLeft += batches;
+    await quotasCollection.updateOne({ _id: userId, day: getQuotaDay() }, { $inc: { files: -files, batches: -batches } }).catch(() => { });
+}
+
+// Helper: Tell a user a delivery is over their daily quota
+async function sendQuotaExceeded(ctx, chatId, files, batches = 0) {
+    const status = await getQuotaStatus(ctx.from.id);
+    const premiumHint = status.limits.files < QUOTA_LIMITS.premium.files ? `\n\n🌟 _Premium members get up to ${QUOTA_LIMITS.premium.files} files a day._` : '';
+    await ctx.telegram.sendMessage(chatId,
+        `🚫 *Daily Limit Reached*\n\n` +
+        `This delivery needs ${files} file${files === 1 ? '' : 's'}${batches && status.batchesLeft === 0 ? ' and a batch' : ''}.\n\n` +
+        `${formatQuotaStatus(status)}${premiumHint}`,
+        { parse_mode: 'Markdown' }
+    ).catch(() => { });
+}
+
 // Helper: Trigger Monetization (Forward Ad Post)
 async function triggerMonetization(ctx) {
     if (!IS_GROWTH_LOCK) return;
@@ -349,9 +993,7 @@ async function triggerMonetization(ctx) {
         try {
             const forwarded = await ctx.telegram.forwardMessage(ctx.from.id, monetizationChannel, LAST_MONETIZATION_POST_ID);
             // Auto-delete ad after 5 minutes
-            setTimeout(() => {
-                ctx.telegram.deleteMessage(ctx.from.id, forwarded.message_id).catch(() => { });
-            }, 300 * 1000);
+            await scheduleDeletion([{ chat_id: ctx.from.id, message_id: forwarded.message_id }], 300);
             return true;
         } catch (e) {
             console.error('Error forwarding auto-monetization post:', e.message);
@@ -360,17 +1002,27 @@ async function triggerMonetization(ctx) {
     return false;
 }
 
+// Helper: Why a user may not use the bot right now ('maintenance', 'banned' or null)
+async function getAccessDenial(userId) {
+    if (isAdmin(userId)) return null;
+    if (IS_MAINTENANCE) return 'maintenance';
+
+    const user = await usersCollection.findOne({ user_id: userId });
+    if (user && user.isBanned) return 'banned';
+
+    return null;
+}
+
 // Helper: Check if user is banned or bot is in maintenance
 async function checkUser(ctx) {
-    if (isAdmin(ctx.from.id)) return true;
+    const denial = await getAccessDenial(ctx.from.id);
 
-    if (IS_MAINTENANCE) {
+    if (denial === 'maintenance') {
         await ctx.reply('🚧 *Maintenance Mode*\n\nBot is currently undergoing maintenance. Please try again later.', { parse_mode: 'Markdown' });
         return false;
     }
 
-    const user = await usersCollection.findOne({ user_id: ctx.from.id });
-    if (user && user.isBanned) {
+    if (denial === 'banned') {
         await ctx.reply('⛔ *Access Denied*\n\nYou have been banned from using this bot.', { parse_mode: 'Markdown' });
         return false;
     }
@@ -491,88 +1143,355 @@ async function getDatabaseStats() {
 
 
 
-// Search files in MongoDB with fuzzy matching
-async function searchFiles(query, page = 0, filters = {}) {
-    try {
-        const skip = page * RESULTS_PER_PAGE;
-        console.log(`🔍 Search: query="${query}", page=${page}, filters=`, filters);
+// Helper: Split a search query into lowercase word tokens
+function tokenizeQuery(query) {
+    if (!query) return [];
+    return query.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+}
 
-        // Build query with filters
-        let searchQuery = {};
-        const conditions = [];
+// Helper: Character trigrams of a word, padded so prefixes and suffixes count
+function getTrigrams(word) {
+    const padded = ` ${word} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+    return [...grams];
+}
 
-        // Use regex for basic search (Escaped for safety)
-        if (query) {
-            conditions.push({ file_name: { $regex: new RegExp(escapeRegex(query), 'i') } });
-        }
+// Helper: Distinct vocabulary terms of a file name (3+ chars, at least one letter)
+function extractTitleTerms(fileName) {
+    const name = fileName.replace(/\.[a-z0-9]{2,4}$/i, '');
+    return [...new Set(tokenizeQuery(name).filter(t => t.length >= 3 && /\p{L}/u.test(t)))];
+}
 
-        // Add filters (Regex match against file_name for scoped filtering)
-        if (filters.file_lang) {
-            if (filters.file_lang === 'MU') {
-                conditions.push({
-                    file_name: { $regex: new RegExp(MULTI_KEYWORDS.join('|'), 'i') }
-                });
-            } else {
-                const langName = LANGUAGES[filters.file_lang];
-                // Match "Hindi" OR "HI"
-                const pattern = langName ? `${escapeRegex(langName)}|\\b${escapeRegex(filters.file_lang)}\\b` : escapeRegex(filters.file_lang);
-                conditions.push({ file_name: { $regex: new RegExp(pattern, 'i') } });
+// Helper: Add (delta 1) or remove (delta -1) a file name's terms in the vocabulary
+async function updateTermIndex(fileName, delta) {
+    const terms = extractTitleTerms(fileName || '');
+    if (terms.length === 0) return;
+
+    try {
+        await termsCollection.bulkWrite(terms.map(term => ({
+            updateOne: {
+                filter: { _id: term },
+                update: { $inc: { count: delta }, $setOnInsert: { grams: getTrigrams(term) } },
+                upsert: delta > 0
             }
+        })), { ordered: false });
+
+        if (delta < 0) {
+            await termsCollection.deleteMany({ _id: { $in: terms }, count: { $lte: 0 } });
         }
-        if (filters.year) {
-            conditions.push({ file_name: { $regex: new RegExp(`\\b${filters.year}\\b`, 'i') } });
+    } catch (error) {
+        console.error('Error updating term index:', error);
+    }
+}
+
+// Helper: Closest vocabulary terms to a (possibly misspelled) word, by trigram similarity
+async function findSimilarTerms(word, limit = 5) {
+    const grams = getTrigrams(word);
+    return termsCollection.aggregate([
+        { $match: { grams: { $in: grams } } },
+        { $addFields: { _overlap: { $size: { $setIntersection: ['$grams', grams] } } } },
+        {
+            $addFields: {
+                _similarity: { $divide: ['$_overlap', { $subtract: [{ $add: [{ $size: '$grams' }, grams.length] }, '$_overlap'] }] }
+            }
+        },
+        { $match: { _similarity: { $gte: FUZZY_MIN_SIMILARITY } } },
+        { $sort: { _similarity: -1, count: -1 } },
+        { $limit: limit }
+    ]).toArray();
+}
+
+// Helper: Replace unknown query words with their closest indexed terms (null if nothing changed)
+async function correctQueryTokens(tokens) {
+    let changed = false;
+    const corrected = [];
+
+    for (const token of tokens) {
+        if (token.length < 3 || !/\p{L}/u.test(token) || await termsCollection.findOne({ _id: token }, { projection: { _id: 1 } })) {
+            corrected.push(token);
+            continue;
         }
-        if (filters.quality) {
-            conditions.push({ file_name: { $regex: new RegExp(escapeRegex(filters.quality), 'i') } });
+
+        const [best] = await findSimilarTerms(token, 1);
+        if (best) {
+            corrected.push(best._id);
+            changed = true;
+        } else {
+            corrected.push(token);
         }
+    }
+
+    return changed ? corrected : null;
+}
+
+// Helper: Trigram similarity (Jaccard) of two phrases, 0..1
+function trigramSimilarity(a, b) {
+    const gramsA = getTrigrams(tokenizeQuery(a).join(' '));
+    const gramsB = new Set(getTrigrams(tokenizeQuery(b).join(' ')));
+    const overlap = gramsA.filter(g => gramsB.has(g)).length;
+    return overlap / (gramsA.length + gramsB.size - overlap);
+}
+
+// Helper: "Did you mean" spellings for a query, from the title vocabulary and trending searches
+async function getSearchSuggestions(query, limit = 5) {
+    const tokens = tokenizeQuery(query);
+    if (tokens.length === 0) return [];
 
-        if (conditions.length > 1) {
-            searchQuery = { $and: conditions };
-        } else if (conditions.length === 1) {
-            searchQuery = conditions[0];
+    const suggestions = new Set();
+    try {
+        // Swap each unknown word for its closest indexed terms (best overall correction first)
+        const corrected = await correctQueryTokens(tokens);
+        if (corrected) suggestions.add(corrected.join(' '));
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.length < 3 || !/\p{L}/u.test(token) || await termsCollection.findOne({ _id: token }, { projection: { _id: 1 } })) continue;
+
+            const similar = await findSimilarTerms(token, limit);
+            similar.forEach(term => suggestions.add([...tokens.slice(0, i), term._id, ...tokens.slice(i + 1)].join(' ')));
         }
 
-        // Improved Regex-aware logging
-        const loggableQuery = JSON.parse(JSON.stringify(searchQuery, (key, value) =>
-            value instanceof RegExp ? value.toString() : value
-        ));
-        console.log(`📡 MongoDB Query: ${JSON.stringify(loggableQuery)}`);
+        // Popular searches that look like this one
+        const trending = await trendingCollection.find({}).sort({ count: -1 }).limit(100).toArray();
+        trending
+            .map(t => ({ query: t.query, similarity: trigramSimilarity(query, t.query) }))
+            .filter(t => t.similarity >= FUZZY_MIN_SIMILARITY)
+            .sort((a, b) => b.similarity - a.similarity)
+            .forEach(t => suggestions.add(t.query));
+    } catch (error) {
+        console.error('Error building search suggestions:', error);
+    }
+
+    suggestions.delete(tokens.join(' '));
+    suggestions.delete(query.toLowerCase());
+    return [...suggestions].slice(0, limit);
+}
+
+// Helper: Build the relevance rank expression (2 = exact title, 1 = all tokens, 0 = partial)
+function buildRelevanceExpr(tokens) {
+    const sep = '[\\W_]';
+    const escaped = tokens.map(escapeRegex);
+
+    // Title is the query itself, optionally followed by year/quality/season/brackets or the extension
+    const exactPattern = `^${sep}*${escaped.join(`${sep}+`)}` +
+        `(?:${sep}*$|${sep}*\\.[a-z0-9]{2,4}$|${sep}*[\\[(]|${sep}+(?:19\\d{2}|20\\d{2}|\\d{3,4}p|s\\d{1,2})(?:${sep}|$))`;
+
+    const exactMatch = { $regexMatch: { input: '$file_name', regex: exactPattern, options: 'i' } };
+    const allTokensMatch = {
+        $and: escaped.map(t => ({ $regexMatch: { input: '$file_name', regex: `(?:^|${sep})${t}(?:${sep}|$)`, options: 'i' } }))
+    };
+
+    return {
+        $add: [
+            { $cond: [exactMatch, 2, 0] },
+            { $cond: [allTokensMatch, 1, 0] }
+        ]
+    };
+}
+
+// Helper: MongoDB conditions for the active search filters (metadata fields stored by indexFile)
+function buildFilterConditions(filters) {
+    // Quarantined (undeliverable) files never show up
+    const conditions = [{ broken: { $ne: true } }];
+    if (filters.file_lang) {
+        conditions.push({ file_langs: { $in: [filters.file_lang] } });
+    }
+    if (filters.year) {
+        conditions.push({ year: filters.year });
+    }
+    if (filters.quality) {
+        const quality = QUALITIES.find(q => q.toLowerCase() === filters.quality.toLowerCase()) || filters.quality;
+        conditions.push({ qualities: { $in: [quality] } });
+    }
+    // 'all' means the user skipped the season picker
+    if (filters.season && filters.season !== 'all') {
+        conditions.push({ season: parseInt(filters.season) });
+    }
+    if (filters.episode) {
+        conditions.push({ episode: parseInt(filters.episode) });
+    }
+    return conditions;
+}
+
+// Helper: Text index match for query tokens plus filter conditions
+function buildTextMatch(tokens, filterConditions) {
+    const textMatch = { $text: { $search: tokens.join(' ') } };
+    if (filterConditions.length > 0) textMatch.$and = filterConditions;
+    return textMatch;
+}
+
+// Helper: Substring regex match for the raw query plus filter conditions
+function buildRegexMatch(query, filterConditions) {
+    const conditions = [...filterConditions];
+    if (query) {
+        conditions.unshift({ file_name: { $regex: new RegExp(escapeRegex(query), 'i') } });
+    }
+
+    if (conditions.length > 1) return { $and: conditions };
+    if (conditions.length === 1) return conditions[0];
+    return {};
+}
+
+// Helper: Collapse the album (pack) parts on one page into their best-ranked part, counting the pack's matching parts
+async function collapsePagePacks(match, files) {
+    const packIds = new Set();
+    const collapsed = files.filter(f => {
+        if (!f.pack_id) return true;
+        if (packIds.has(f.pack_id)) return false;
+        packIds.add(f.pack_id);
+        return true;
+    });
+    if (packIds.size === 0) return collapsed;
+
+    const counts = await filesCollection.aggregate([
+        { $match: { ...match, pack_id: { $in: [...packIds] } } },
+        { $group: { _id: '$pack_id', count: { $sum: 1 } } }
+    ]).toArray();
+    const countByPack = new Map(counts.map(c => [c._id, c.count]));
+    return collapsed.map(f => (f.pack_id ? { ...f, pack_files: countByPack.get(f.pack_id) || 1 } : f));
+}
+
+// Helper: One page of matching files (ranked by relevance when tokens come from a text match) and whether more follow.
+// grouped: one entry per title/year/season/episode, carrying a `variants` count.
+// Packs are collapsed within the page only, so a pack split across a page break shows on both pages.
+async function fetchSearchPage(match, tokens, { skip, limit, sort = {}, grouped = false }) {
+    const pipeline = [{ $match: match }];
+    const rank = tokens ? { _relevance: -1, _score: -1 } : {};
+    if (tokens) {
+        // Narrow the hits to the top text scores first; the regex ranking only runs on those candidates
+        pipeline.push(
+            { $sort: { _score: { $meta: 'textScore' } } },
+            { $limit: SEARCH_CANDIDATE_LIMIT },
+            { $addFields: { _score: { $meta: 'textScore' }, _relevance: buildRelevanceExpr(tokens) } }
+        );
+    }
+
+    const fileSort = { ...sort, ...rank, _id: -1 };
+    if (grouped) {
+        // Sort groups by the matching per-group aggregate of each file sort key
+        const groupKeys = { episode: () => '_id.episode', indexed_at: () => '_latest', _id: () => '_newest', file_size: dir => (dir < 0 ? '_maxSize' : '_minSize') };
+        const groupSort = Object.fromEntries(Object.entries(sort).map(([key, dir]) => [groupKeys[key](dir), dir]));
+
+        // The first file of each group (largest unless sorting by size) represents it
+        const memberSort = { ...sort, ...rank };
+        if (!('file_size' in memberSort)) memberSort.file_size = -1;
+
+        // Files not yet backfilled have no title_key; keep them as their own group
+        pipeline.push(
+            { $sort: memberSort },
+            {
+                $group: {
+                    _id: { title: { $ifNull: ['$title_key', '$_id'] }, year: '$year', season: '$season', episode: '$episode' },
+                    file: { $first: '$$ROOT' },
+                    variants: { $sum: 1 },
+                    _relevance: { $max: '$_relevance' },
+                    _score: { $max: '$_score' },
+                    _maxSize: { $max: '$file_size' },
+                    _minSize: { $min: '$file_size' },
+                    _latest: { $max: '$indexed_at' },
+                    _newest: { $max: '$_id' }
+                }
+            },
+            { $sort: { ...groupSort, ...rank, _newest: -1 } },
+            { $skip: skip },
+            { $limit: limit + 1 },
+            { $replaceRoot: { newRoot: { $mergeObjects: ['$file', { variants: '$variants' }] } } }
+        );
+    } else {
+        pipeline.push(
+            { $sort: fileSort }, // _id descending = newest first approximation
+            { $skip: skip },
+            { $limit: limit + 1 }
+        );
+    }
+
+    pipeline.push({ $project: { _score: 0, _relevance: 0 } });
+    const results = await filesCollection.aggregate(pipeline).toArray();
+    return { files: await collapsePagePacks(match, results.slice(0, limit)), hasMore: results.length > limit };
+}
+
+// Helper: Seasons (with episode counts) among the files matching a search
+async function listSeasons(match) {
+    const groups = await filesCollection.aggregate([
+        { $match: { ...match, season: { $ne: null } } },
+        { $group: { _id: '$season', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+        { $limit: MAX_SEASON_BUTTONS }
+    ]).toArray();
+    return groups.map(g => ({ season: g._id, count: g.count }));
+}
+
+// Search files in MongoDB, ranked by relevance via the text index
+// (track: false keeps the query out of trending, e.g. inline keystrokes)
+async function searchFiles(query, page = 0, filters = {}, limit = RESULTS_PER_PAGE, { track = true } = {}) {
+    try {
+        const skip = page * limit;
+        console.log(`🔍 Search: query="${query}", page=${page}, filters=`, filters);
+
+        const filterConditions = buildFilterConditions(filters);
+
+        // Inside a season, list episodes in order; then the chosen sort (relevance by default)
+        const sort = {
+            ...((filters.season && filters.season !== 'all') ? { episode: 1 } : {}),
+            ...(SORT_OPTIONS[filters.sort] || SORT_OPTIONS.r).order
+        };
+        const pageOptions = { skip, limit, sort, grouped: !!filters.grouped };
+
+        let results = null;
+        let activeMatch = null;
+        let isFuzzy = false;
+        const tokens = tokenizeQuery(query);
+
+        // 1. Ranked text search (uses the file_name text index)
+        if (tokens.length > 0) {
+            const textMatch = buildTextMatch(tokens, filterConditions);
+            const ranked = await fetchSearchPage(textMatch, tokens, pageOptions);
+
+            // An empty page only means "no text hits" if nothing matches at all
+            if (ranked.files.length > 0 || (page > 0 && await filesCollection.findOne(textMatch, { projection: { _id: 1 } }))) {
+                results = ranked;
+                activeMatch = textMatch;
+            }
+        }
 
-        const results = await filesCollection
-            .find(searchQuery)
-            .sort({ _id: -1 }) // Sort by ID descending (newest first approximation)
-            .skip(skip)
-            .limit(RESULTS_PER_PAGE + 1)
-            .toArray();
+        // 2. Substring regex (partial words, stop words, filter-only browsing)
+        if (results === null) {
+            const searchQuery = buildRegexMatch(query, filterConditions);
 
-        console.log(`📊 Found ${results.length} results`);
+            // Improved Regex-aware logging
+            const loggableQuery = JSON.parse(JSON.stringify(searchQuery, (key, value) =>
+                value instanceof RegExp ? value.toString() : value
+            ));
+            console.log(`📡 MongoDB Query: ${JSON.stringify(loggableQuery)}`);
 
-        const hasMore = results.length > RESULTS_PER_PAGE;
-        const files = hasMore ? results.slice(0, RESULTS_PER_PAGE) : results;
+            results = await fetchSearchPage(searchQuery, null, pageOptions);
+            activeMatch = searchQuery;
+        }
 
-        // If no results with regex, try fuzzy search
-        if (files.length === 0 && query && !filters.file_lang && !filters.year) {
+        // 3. No results: retry with misspelled words corrected against the title vocabulary
+        if (results.files.length === 0 && tokens.length > 0) {
             console.log('✨ Trying fuzzy fallback...');
-            const allFiles = await filesCollection.find({}).sort({ _id: -1 }).limit(1000).toArray();
-            const fuse = new Fuse(allFiles, {
-                keys: ['file_name'],
-                threshold: 0.4,
-                includeScore: true
-            });
+            const corrected = await correctQueryTokens(tokens);
+
+            if (corrected) {
+                console.log(`✨ Fuzzy query: "${corrected.join(' ')}"`);
+                activeMatch = buildTextMatch(corrected, filterConditions);
+                results = await fetchSearchPage(activeMatch, corrected, pageOptions);
+                isFuzzy = true;
+            }
+        }
 
-            const fuzzyResults = fuse.search(query);
-            const fuzzyFiles = fuzzyResults.slice(skip, skip + RESULTS_PER_PAGE).map(r => r.item);
+        const { files, hasMore } = results;
+        console.log(`📊 Found ${files.length} results`);
 
-            return {
-                files: fuzzyFiles,
-                hasNext: fuzzyResults.length > skip + RESULTS_PER_PAGE,
-                hasPrev: page > 0,
-                currentPage: page,
-                isFuzzy: true
-            };
+        // Series: collect the seasons so the user can pick one before seeing episodes
+        let seasons = [];
+        if (page === 0 && !filters.season && files.some(f => f.season != null)) {
+            seasons = await listSeasons(activeMatch);
         }
 
-        if (query && page === 0 && !filters.file_lang && !filters.year && !filters.quality) {
+        if (track && !isFuzzy && query && page === 0 && !hasActiveFilters(filters)) {
             await trackSearch(query);
         }
 
@@ -581,97 +1500,171 @@ async function searchFiles(query, page = 0, filters = {}) {
             hasNext: hasMore,
             hasPrev: page > 0,
             currentPage: page,
-            isFuzzy: false
+            isFuzzy,
+            seasons
         };
     } catch (error) {
         console.error('Search error:', error);
-        return { files: [], hasNext: false, hasPrev: false, currentPage: 0, isFuzzy: false };
+        return { files: [], hasNext: false, hasPrev: false, currentPage: 0, isFuzzy: false, seasons: [] };
     }
 }
 
-// Helper: Serialize filters for callback data
-function serializeFilters(page, filters) {
-    const l = filters.file_lang || '-';
-    const y = filters.year || '-';
-    const q = filters.quality || '-';
-    return `${page}:${l}:${y}:${q}`;
+// Filter changes a callback can ask for (the filters themselves live in the search session)
+const FILTER_ACTION_FIELDS = { lang: 'file_lang', year: 'year', qual: 'quality', sea: 'season', sort: 'sort' };
+
+// Helper: Callback data for changing one filter of a session ('-' = unset)
+function filterAction(sessionId, key, value = null) {
+    return `fapl:${sessionId}:${key}:${value ?? '-'}`;
 }
 
-// Helper: Deserialize filters from callback data
-function deserializeFilters(data) {
-    const parts = data.split(':');
-    return {
-        page: parseInt(parts[0]) || 0,
-        filters: {
-            file_lang: parts[1] === '-' ? null : parts[1],
-            year: parts[2] === '-' ? null : parts[2],
-            quality: parts[3] === '-' ? null : parts[3]
-        }
-    };
+// Helper: A session's filters after a filter action (grp toggles grouping, clr keeps only grouping and sort)
+function applyFilterAction(filters, key, value) {
+    if (key === 'clr') return { grouped: filters.grouped, sort: filters.sort };
+    if (key === 'grp') return { ...filters, grouped: !filters.grouped };
+    if (key === 'sort') return { ...filters, sort: SORT_OPTIONS[value] && value !== 'r' ? value : null };
+    const next = { ...filters, [FILTER_ACTION_FIELDS[key]]: value };
+    // A new season starts from its episode list
+    if (key === 'sea') next.episode = null;
+    return next;
+}
+
+// Helper: Start a search session (callbacks carry its short ID instead of the query)
+async function createSearchSession(ctx, query, filters, page) {
+    const sessionId = crypto.randomBytes(6).toString('base64url');
+    await searchSessionsCollection.insertOne({
+        _id: sessionId,
+        query,
+        filters,
+        page,
+        user_id: ctx.from.id,
+        chat_id: ctx.chat?.id,
+        created_at: new Date(),
+        updated_at: new Date()
+    });
+    return sessionId;
 }
 
-// Helper: Extract query from ctx
-async function extractQuery(ctx) {
-    // 1. From reply_to_message (Best)
-    if (ctx.callbackQuery && ctx.callbackQuery.message.reply_to_message) {
-        return ctx.callbackQuery.message.reply_to_message.text;
+// Helper: Record the page and filters a session is showing (also refreshes its TTL)
+async function updateSearchSession(sessionId, filters, page) {
+    await searchSessionsCollection.updateOne(
+        { _id: sessionId },
+        { $set: { filters, page, updated_at: new Date() } }
+    );
+}
+
+// Helper: Load the search session behind a callback (answers the callback if it has expired)
+async function getSearchSession(ctx, sessionId) {
+    const session = await searchSessionsCollection.findOne({ _id: sessionId });
+    if (!session) {
+        await ctx.answerCbQuery('⌛ Search expired. Re-search please.', { show_alert: true }).catch(() => { });
     }
-    // 2. From message text with regex
-    const text = (ctx.callbackQuery ? ctx.callbackQuery.message.text : ctx.message.text) || '';
-    const match = text.match(/Search: `(.+?)`/);
-    if (match) return match[1];
+    return session;
+}
 
-    // 3. From Base64 payload if it's a deep link (Handled specifically in deep link funcs)
-    return null;
+// Helper: Season picker rows (two seasons per row)
+function buildSeasonRows(seasons, sessionId) {
+    const rows = [];
+    for (let i = 0; i < seasons.length; i += 2) {
+        rows.push(seasons.slice(i, i + 2).map(s => Markup.button.callback(
+            `📺 Season ${s.season} (${s.count})`,
+            filterAction(sessionId, 'sea', s.season)
+        )));
+    }
+    return rows;
 }
 
 // Generate keyboard with shortlink support and filter persistence
-async function generateKeyboard(files, query, page, hasNext, hasPrev, filters = {}, userId = null) {
+async function generateKeyboard(files, query, page, hasNext, hasPrev, filters = {}, userId = null, seasons = [], sessionId = null) {
     const buttons = [];
-    const state = serializeFilters(page, filters);
+    const inSeason = filters.season && filters.season !== 'all';
 
     // 1. Filter row (TOP)
-    buttons.push([
-        Markup.button.callback('🌐 Language', `f:lang:${state}`),
-        Markup.button.callback('📅 Year', `f:year:${state}`),
-        Markup.button.callback('💎 Quality', `f:qual:${state}`)
-    ]);
+    const filterRow = [
+        Markup.button.callback('🌐 Language', `f:lang:${sessionId}`),
+        Markup.button.callback('📅 Year', `f:year:${sessionId}`),
+        Markup.button.callback('💎 Quality', `f:qual:${sessionId}`)
+    ];
+    if (inSeason) filterRow.push(Markup.button.callback('📺 Season', `f:sea:${sessionId}`));
+    buttons.push(filterRow);
+
+    // Sort row (active order is ticked)
+    const activeSort = filters.sort || 'r';
+    if (!(seasons.length > 0 && !filters.season)) {
+        buttons.push(Object.entries(SORT_OPTIONS).map(([key, opt]) => Markup.button.callback(
+            key === activeSort ? `✅ ${opt.name}` : opt.label,
+            filterAction(sessionId, 'sort', key)
+        )));
+    }
 
-    // 2. File buttons (Single button per row)
+    // Series detected: pick a season first (episodes are listed once one is chosen)
+    if (seasons.length > 0 && !filters.season) {
+        buttons.push(...buildSeasonRows(seasons, sessionId));
+        buttons.push([Markup.button.callback('📄 Show All Files', filterAction(sessionId, 'sea', 'all'))]);
+        if (hasActiveFilters(filters)) {
+            buttons.push([Markup.button.callback('❌ Clear Filters', filterAction(sessionId, 'clr'))]);
+        }
+        return Markup.inlineKeyboard(buttons);
+    }
+
+    // 2. File buttons (Single button per row; grouped titles open the variant picker)
     for (const file of files) {
         const linkId = file.file_ref || file._id;
         const size = formatFileSize(file.file_size);
-        buttons.push([
-            Markup.button.url(`[${size}] - ${file.file_name}`, `https://t.me/${bot.botInfo.username}?start=file_${linkId}`)
-        ]);
-    }
-
-    // 3. Pagination row
+        if (file.pack_id && file.pack_files > 1) {
+            buttons.push([
+                Markup.button.url(`📦 [${file.pack_files} files] - ${file.file_name}`, `https://t.me/${bot.botInfo.username}?start=pack_${file.pack_id}`)
+            ]);
+        } else if (file.variants > 1 && file.file_ref) {
+            buttons.push([
+                Markup.button.callback(`🗂️ [${file.variants} versions] - ${file.file_name}`, `gv:${file.file_ref}:${sessionId}`)
+            ]);
+        } else {
+            buttons.push([
+                Markup.button.url(`[${size}] - ${file.file_name}`, `https://t.me/${bot.botInfo.username}?start=file_${linkId}`)
+            ]);
+        }
+    }
+
+    // 3. Pagination row
     const paginationRow = [];
-    if (hasPrev) paginationRow.push(Markup.button.callback('⏪ Prev', `p:${page - 1}:${state.split(':').slice(1).join(':')}`));
-    if (hasNext) paginationRow.push(Markup.button.callback('Next ⏩', `p:${page + 1}:${state.split(':').slice(1).join(':')}`));
+    if (hasPrev) paginationRow.push(Markup.button.callback('⏪ Prev', `p:${sessionId}:${page - 1}`));
+    if (hasNext) paginationRow.push(Markup.button.callback('Next ⏩', `p:${sessionId}:${page + 1}`));
     if (paginationRow.length > 0) buttons.push(paginationRow);
 
     // 4. Action row (Get All for all users, Share Page for Admin)
     if (files.length > 0) {
-        const actionRow = [Markup.button.callback('📥 Get All', `gall:${state}`)];
+        const actionRow = [
+            Markup.button.callback('📥 Get All', `gall:${sessionId}`),
+            Markup.button.callback(filters.grouped ? '📄 List Files' : '🗂️ Group Versions', filterAction(sessionId, 'grp'))
+        ];
         if (userId && isAdmin(userId)) {
-            actionRow.push(Markup.button.callback('🔗 Share Page', `s:${state}`));
+            actionRow.push(Markup.button.callback('🔗 Share Page', `s:${sessionId}`));
         }
         buttons.push(actionRow);
+
+        if (inSeason) {
+            buttons.push([Markup.button.callback(`📦 Get Whole Season ${filters.season}`, `gsea:${sessionId}`)]);
+        }
     }
 
     // Reset button if filters active
-    if (filters.file_lang || filters.year || filters.quality) {
-        buttons.push([Markup.button.callback('❌ Clear Filters', `p:0:-:-:-`)]);
+    if (hasActiveFilters(filters)) {
+        buttons.push([Markup.button.callback('❌ Clear Filters', filterAction(sessionId, 'clr'))]);
     }
 
     return Markup.inlineKeyboard(buttons);
 }
 
 // Unified function to send/edit search results to ensure UI consistency
-async function sendSearchResults(ctx, query, page, filters = {}, isEdit = false, startTime = null) {
+async function sendSearchResults(ctx, query, page, filters = {}, isEdit = false, startTime = null, sessionId = null) {
     const searchResult = await searchFiles(query, page, filters);
+
+    if (sessionId) {
+        await updateSearchSession(sessionId, filters, page);
+    } else {
+        sessionId = await createSearchSession(ctx, query, filters, page);
+    }
+
     const keyboard = await generateKeyboard(
         searchResult.files,
         query,
@@ -679,7 +1672,9 @@ async function sendSearchResults(ctx, query, page, filters = {}, isEdit = false,
         searchResult.hasNext,
         searchResult.hasPrev,
         filters,
-        ctx.from.id
+        ctx.from.id,
+        searchResult.seasons,
+        sessionId
     );
 
     const speed = startTime ? ((Date.now() - startTime) / 1000).toFixed(2) : '0.02';
@@ -687,21 +1682,42 @@ async function sendSearchResults(ctx, query, page, filters = {}, isEdit = false,
 
     // Build filter breadcrumbs with colorful icons
     let filterInfo = '';
-    if (filters.file_lang || filters.year || filters.quality) {
+    if (hasActiveFilters(filters)) {
         filterInfo = '\n✨ *Active Filters:* ' + [
             filters.file_lang ? `🌐 \`${LANGUAGES[filters.file_lang] || filters.file_lang}\`` : null,
             filters.year ? `📅 \`${filters.year}\`` : null,
-            filters.quality ? `💎 \`${filters.quality}\`` : null
+            filters.quality ? `💎 \`${filters.quality}\`` : null,
+            filters.season ? `📺 \`${formatSeasonLabel(filters.season)}\`` : null,
+            filters.episode ? `🎞️ \`Episode ${filters.episode}\`` : null
         ].filter(Boolean).join(' + ');
     }
 
-    const text = searchResult.isFuzzy
+    if (filters.sort && filters.sort !== 'r') {
+        filterInfo += `\n↕️ *Sorted By:* \`${SORT_OPTIONS[filters.sort].name}\``;
+    }
+
+    let text = searchResult.isFuzzy
         ? `${header}\n🔍 *Search:* \`${query}\`${filterInfo}\n🔢 *Page:* ${page + 1}\n\n💡 _Showing closest matches_`
         : `${header}\n🔍 *Search:* \`${query}\`${filterInfo}\n🔢 *Page:* ${page + 1}`;
 
+    if (searchResult.seasons.length > 0 && !filters.season) {
+        text += `\n\n📺 _Series detected! Pick a season to see its episodes._`;
+    }
+
     if (searchResult.files.length === 0 && !isEdit) {
         if (ctx.chat.type === 'private' || query.includes('movie') || query.includes('film')) {
-            await ctx.reply(`❌ No results found for "${query}"\n\n💡 Try different keywords or check spelling`, { reply_to_message_id: ctx.message?.message_id });
+            // Suggestions live in the session; buttons only carry their index
+            const suggestions = await getSearchSuggestions(query);
+            await searchSessionsCollection.updateOne({ _id: sessionId }, { $set: { suggestions } });
+
+            const buttons = suggestions.map((s, i) => [Markup.button.callback(`🔎 ${s}`, `sug:${sessionId}:${i}`)]);
+            buttons.push([Markup.button.callback('🆘 Request this', `req_s:${sessionId}`)]);
+
+            const hint = suggestions.length > 0 ? '🤔 Did you mean:' : '💡 Try different keywords or check spelling';
+            await ctx.reply(`❌ No results found for "${query}"\n\n${hint}`, {
+                reply_to_message_id: ctx.message?.message_id,
+                ...Markup.inlineKeyboard(buttons)
+            });
         }
     }
 
@@ -717,6 +1733,18 @@ async function sendSearchResults(ctx, query, page, filters = {}, isEdit = false,
 
     if (searchResult.files.length === 0 && !isEdit) return;
 
+    // An edit that finds nothing with no filters to clear (e.g. a suggestion that also misses) says so
+    if (searchResult.files.length === 0 && !hasActiveFilters(filters)) {
+        try {
+            await ctx.editMessageText(`❌ No results found for "${query}"\n\n💡 Try different keywords or check spelling`, {
+                ...Markup.inlineKeyboard([[Markup.button.callback('🆘 Request this', `req_s:${sessionId}`)]])
+            });
+        } catch (e) {
+            // Message might be same or other error
+        }
+        return;
+    }
+
     let sentMsg;
     if (isEdit) {
         try {
@@ -735,78 +1763,468 @@ async function sendSearchResults(ctx, query, page, filters = {}, isEdit = false,
 
     // Auto-delete search results after 2 minutes (PM and Groups)
     if (sentMsg) {
-        setTimeout(async () => {
-            try {
-                // Delete bot's message
-                await ctx.telegram.deleteMessage(ctx.chat.id, sentMsg.message_id);
-                // Delete user's query message if possible
-                if (ctx.message) {
-                    await ctx.telegram.deleteMessage(ctx.chat.id, ctx.message.message_id).catch(() => { });
-                }
+        await scheduleDeletion(
+            [
+                { chat_id: ctx.chat.id, message_id: sentMsg.message_id },
+                // User's query message (if possible)
+                ctx.message ? { chat_id: ctx.chat.id, message_id: ctx.message.message_id } : null
+            ],
+            SEARCH_DELETE_SECONDS,
+            { chat_id: ctx.chat.id, text: `❌ *Search results cleared to keep the chat clean.*`, delete_after: 10 }
+        );
+    }
+}
+
+// Helper: Compile a stored cleanup rule (throws on an invalid regex)
+function compileNameRule(rule) {
+    if (rule.type === 'strip') {
+        return { ...rule, pattern: new RegExp(rule.value, 'giu') };
+    }
+    if (rule.type === 'brackets') {
+        const pairs = (rule.value.match(/../gu) || []).map(([open, close]) =>
+            new RegExp(`${escapeRegex(open)}([^${escapeRegex(close)}]*)${escapeRegex(close)}`, 'gu'));
+        return { ...rule, patterns: pairs };
+    }
+    if (rule.type === 'sep') {
+        return { ...rule, pattern: new RegExp(`[${escapeRegex(rule.value)}]+`, 'gu') };
+    }
+    return rule;
+}
+
+// Helper: Parse a rule ID argument (null if it is not one)
+function parseRuleId(text) {
+    return /^[a-f\d]{24}$/i.test(text || '') ? new ObjectId(text) : null;
+}
+
+// Helper: Reload the cleanup rule cache
+async function loadNameRules() {
+    const rules = await nameRulesCollection.find({}).sort({ created_at: 1 }).toArray();
+    nameRuleProfiles.clear();
+    for (const rule of rules) {
+        try {
+            if (!nameRuleProfiles.has(rule.profile)) nameRuleProfiles.set(rule.profile, []);
+            nameRuleProfiles.get(rule.profile).push(compileNameRule(rule));
+        } catch (error) {
+            console.error(`Skipping invalid name rule ${rule._id}:`, error.message);
+        }
+    }
+}
+
+// Helper: Apply cleanup rules to a file name (the extension is left untouched)
+function applyNameRules(fileName, rules) {
+    if (rules.length === 0) return fileName;
+
+    const extMatch = fileName.match(/\.[a-z0-9]{2,4}$/i);
+    const ext = extMatch ? extMatch[0] : '';
+    let name = ext ? fileName.slice(0, -ext.length) : fileName;
+
+    const whitelist = new Set(rules.filter(r => r.type === 'keep').map(r => r.value.toLowerCase()));
+    const isKept = (text) => whitelist.has(text.trim().toLowerCase());
+
+    for (const rule of rules) {
+        if (rule.type === 'strip') {
+            name = name.replace(rule.pattern, (m) => isKept(m) ? m : ' ');
+        } else if (rule.type === 'brackets') {
+            rule.patterns.forEach(pattern => {
+                name = name.replace(pattern, (m, inner) => isKept(inner) ? m : ' ');
+            });
+        } else if (rule.type === 'sep') {
+            name = name.replace(rule.pattern, ' ');
+        }
+    }
+
+    const cleaned = name.replace(/\s+/g, ' ').trim();
+    return cleaned ? cleaned + ext : fileName;
+}
+
+// Helper: Apply a cleanup profile to a file name ('none' or an unknown profile leaves it as is)
+function cleanFileName(fileName, profile = 'default') {
+    return applyNameRules(fileName, nameRuleProfiles.get(profile) || []);
+}
+
+// Helper: Attach an album part to its pack (one pack per chat + media_group_id)
+async function linkFileToPack(document, fileData) {
+    const chatId = fileData.source_chat_id ?? null;
+    const update = {
+        $setOnInsert: { _id: crypto.randomBytes(6).toString('base64url'), title: document.file_name, created_at: new Date() },
+        $addToSet: { files: { file_ref: document.file_ref, message_id: fileData.source_message_id ?? null } },
+        $set: { updated_at: new Date() }
+    };
+
+    try {
+        let pack;
+        try {
+            pack = await packsCollection.findOneAndUpdate(
+                { chat_id: chatId, media_group_id: fileData.media_group_id },
+                update,
+                { upsert: true, returnDocument: 'after' }
+            );
+        } catch (error) {
+            // Another part of the same album created the pack first
+            if (error.code !== 11000) throw error;
+            pack = await packsCollection.findOneAndUpdate(
+                { chat_id: chatId, media_group_id: fileData.media_group_id },
+                { $addToSet: update.$addToSet, $set: update.$set },
+                { returnDocument: 'after' }
+            );
+        }
+        await filesCollection.updateOne({ _id: document._id }, { $set: { pack_id: pack._id } });
+    } catch (error) {
+        console.error('Error linking file to pack:', error);
+    }
+}
+
+// Helper: Replace pack representatives with every part of their pack, in posting order
+async function expandPacks(files) {
+    const expanded = [];
+    const seenPacks = new Set();
+    for (const file of files) {
+        if (!file.pack_id || !(file.pack_files > 1)) {
+            expanded.push(file);
+        } else if (!seenPacks.has(file.pack_id)) {
+            seenPacks.add(file.pack_id);
+            expanded.push(...await filesCollection.find({ pack_id: file.pack_id, broken: { $ne: true } }).sort({ source_message_id: 1, indexed_at: 1 }).toArray());
+        }
+    }
+    return expanded;
+}
+
+// Helper: Deliver every file of a pack (album) in order
+async function sendPack(ctx, packId) {
+    const pack = await packsCollection.findOne({ _id: packId });
+    const files = pack ? await filesCollection.find({ pack_id: packId, broken: { $ne: true } }).sort({ source_message_id: 1, indexed_at: 1 }).toArray() : [];
+    if (files.length === 0) {
+        await ctx.reply('❌ Pack not found or has been deleted.');
+        return;
+    }
+
+    // The header goes with the files (also when the batch is refused)
+    const header = await ctx.reply(`📦 *${escapeMarkdownSpan(pack.title, '*')}*\n\n🗂️ *Files:* ${files.length}`, { parse_mode: 'Markdown' });
+    await scheduleDeletion([{ chat_id: ctx.chat.id, message_id: header.message_id }], AUTO_DELETE_SECONDS);
+    await sendFileBatch(ctx, files);
+}
+
+// Helper: The indexable media in a message and its type (animations also carry a document, so check them first)
+function extractMedia(message) {
+    if (message.animation) return { media: message.animation, type: 'animation' };
+    if (message.document) return { media: message.document, type: 'document' };
+    if (message.video) return { media: message.video, type: 'video' };
+    if (message.audio) return { media: message.audio, type: 'audio' };
+    // Photos arrive in several sizes; keep the largest
+    if (message.photo?.length) return { media: message.photo[message.photo.length - 1], type: 'photo' };
+    return { media: null, type: null };
+}
 
-                // Send temporary notification
-                const delMsg = await ctx.reply(`❌ *Search results cleared to keep the chat clean.*`, { parse_mode: 'Markdown' });
-                setTimeout(() => {
-                    ctx.telegram.deleteMessage(ctx.chat.id, delMsg.message_id).catch(() => { });
-                }, 10000);
-            } catch (e) { }
-        }, SEARCH_DELETE_SECONDS * 1000);
+// Helper: Cleaned file name plus the metadata parsed from it (channel default language as fallback)
+function buildFileNameFields(fileData) {
+    // Fallback for missing file names (common in videos)
+    const fileName = cleanFileName(fileData.file_name || fileData.caption || 'Untitled Media', fileData.cleanup_profile);
+    const parsed = parseFileName(fileName);
+    if (!parsed.file_lang && fileData.default_lang) {
+        parsed.file_lang = fileData.default_lang;
+        parsed.file_langs = [fileData.default_lang];
     }
+    return { file_name: fileName, ...parsed };
+}
+
+// Helper: Link to a channel post (only private/public supergroup-style -100 IDs have one)
+function buildPostUrl(chatId, messageId) {
+    const id = String(chatId || '');
+    if (!id.startsWith('-100') || !messageId) return null;
+    return `https://t.me/c/${id.slice(4)}/${messageId}`;
+}
+
+// Helper: Reload the source channel registry cache
+async function loadSourceChannels() {
+    const channels = await channelsCollection.find({}).toArray();
+    sourceChannels.clear();
+    channels.forEach(c => sourceChannels.set(c._id, c));
+}
+
+// Helper: Index settings a source channel applies to its files
+function getChannelIndexSettings(chatId) {
+    const channel = sourceChannels.get(chatId);
+    if (!channel) return {};
+    return { default_lang: channel.default_lang, cleanup_profile: channel.cleanup_profile };
 }
 
 // Index file to MongoDB
 async function indexFile(fileData) {
     try {
-        // Fallback for missing file names (common in videos)
-        const fileName = fileData.file_name || fileData.caption || 'Untitled Media';
-
         const document = {
             _id: fileData.file_id,
+            raw_name: fileData.file_name || fileData.caption || 'Untitled Media',
             file_ref: fileData.file_unique_id,
-            file_name: fileName,
             file_size: fileData.file_size,
             file_type: fileData.file_type || 'document',
             mime_type: fileData.mime_type,
-            caption: fileData.caption || ""
+            caption: fileData.caption || "",
+            ...buildFileNameFields(fileData),
+            source_chat_id: fileData.source_chat_id ?? null,
+            source_message_id: fileData.source_message_id ?? null,
+            meta_v: FILE_META_VERSION,
+            indexed_at: new Date()
         };
+        const fileName = document.file_name;
 
-        // Check if file already exists
-        const existing = await filesCollection.findOne({ _id: document._id });
+        // Check if file already exists (file_id changes across forwards/bots; file_unique_id doesn't)
+        const existing = await filesCollection.findOne({
+            $or: [{ _id: document._id }, ...(document.file_ref ? [{ file_ref: document.file_ref }] : [])]
+        });
         if (existing) {
-            return { success: false, message: 'File already indexed', duplicate: true };
+            return { success: false, message: 'File already indexed', duplicate: true, existing };
         }
 
         await filesCollection.insertOne(document);
+        await updateTermIndex(fileName, 1);
+        if (fileData.media_group_id) await linkFileToPack(document, fileData);
         return { success: true, message: 'File indexed successfully', duplicate: false };
     } catch (error) {
+        // Lost a race with a concurrent insert of the same file (unique file_ref index)
+        if (error.code === 11000) {
+            const existing = await filesCollection.findOne({ file_ref: fileData.file_unique_id }).catch(() => null);
+            return { success: false, message: 'File already indexed', duplicate: true, existing };
+        }
         console.error('Error indexing file:', error);
         return { success: false, message: 'Error indexing file', duplicate: false };
     }
 }
 
-// Batch index files from a channel
-async function batchIndexFromChannel(channelId, fromMessageId, ctx) {
-    let indexed = 0;
-    let duplicates = 0;
-    let errors = 0;
+// Merge files stored more than once under different file_ids (keeps the first indexed copy)
+async function mergeDuplicateFiles() {
+    const groups = await filesCollection.aggregate([
+        { $match: { file_ref: { $type: 'string' } } },
+        { $sort: { indexed_at: 1, _id: 1 } },
+        { $group: { _id: '$file_ref', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ], { allowDiskUse: true }).toArray();
+    if (groups.length === 0) return;
+
+    console.log(`🔄 MongoDB Migration: Merging ${groups.length} duplicated files...`);
+    let removed = 0;
+    for (const group of groups) {
+        const [keepId, ...dropIds] = group.ids;
+        const copies = await filesCollection.find({ _id: { $in: group.ids } }).toArray();
+        const kept = copies.find(f => f._id === keepId);
+
+        // Carry over a caption the kept copy is missing
+        const caption = copies.map(f => f.caption).find(Boolean);
+        if (!kept.caption && caption) {
+            await filesCollection.updateOne({ _id: keepId }, { $set: { caption } });
+        }
+
+        for (const copy of copies.filter(f => dropIds.includes(f._id))) {
+            await removeIndexedFile(copy, { strategy: 'duplicate_merge' });
+            removed++;
+        }
+    }
+    console.log(`✅ Migration complete: Removed ${removed} duplicate files.`);
+}
+
+// Backfill parsed metadata on files indexed before the current FILE_META_VERSION
+async function backfillFileMetadata() {
+    const staleQuery = { meta_v: { $ne: FILE_META_VERSION } };
+    const pending = await filesCollection.countDocuments(staleQuery);
+    if (pending === 0) return;
+
+    console.log(`🔄 MongoDB Migration: Backfilling metadata for ${pending} files...`);
+    const cursor = filesCollection.find(staleQuery, { projection: { file_name: 1 } });
+
+    let ops = [];
+    let updated = 0;
+    for await (const doc of cursor) {
+        ops.push({
+            updateOne: {
+                filter: { _id: doc._id },
+                update: { $set: { ...parseFileName(doc.file_name || ''), meta_v: FILE_META_VERSION } }
+            }
+        });
+
+        if (ops.length === 1000) {
+            await filesCollection.bulkWrite(ops, { ordered: false });
+            updated += ops.length;
+            ops = [];
+        }
+    }
+    if (ops.length > 0) {
+        await filesCollection.bulkWrite(ops, { ordered: false });
+        updated += ops.length;
+    }
+
+    console.log(`✅ Migration complete: Metadata backfilled for ${updated} files.`);
+}
+
+// Build the title vocabulary from scratch (runs as a migration, before the bot takes updates).
+// Counts are $inc'ed in batches; a crash leaves the migration unrecorded, so the next boot clears and rebuilds.
+async function buildTermIndex() {
+    await termsCollection.deleteMany({});
+    if (await filesCollection.estimatedDocumentCount() === 0) return;
+
+    console.log('🔄 MongoDB Migration: Building title term index...');
+    let counts = new Map();
+    const flush = async () => {
+        if (counts.size === 0) return;
+        await termsCollection.bulkWrite([...counts].map(([term, count]) => ({
+            updateOne: {
+                filter: { _id: term },
+                update: { $inc: { count }, $setOnInsert: { grams: getTrigrams(term) } },
+                upsert: true
+            }
+        })), { ordered: false });
+        counts = new Map();
+    };
+
+    let scanned = 0;
+    const cursor = filesCollection.find({}, { projection: { file_name: 1 } });
+    for await (const doc of cursor) {
+        for (const term of extractTitleTerms(doc.file_name || '')) {
+            counts.set(term, (counts.get(term) || 0) + 1);
+        }
+        if (++scanned % 1000 === 0) await flush();
+    }
+    await flush();
+
+    console.log(`✅ Migration complete: title terms built from ${scanned} files.`);
+}
+
+// Helper: Delete an indexed file and drop its terms from the vocabulary.
+// The document is kept in deleted_files (with how it was matched and who deleted it) so it can be undone.
+async function removeIndexedFile(file, { strategy = 'manual', by = { type: 'system' } } = {}) {
+    const { insertedId } = await deletedFilesCollection.insertOne({
+        file,
+        file_name: file.file_name,
+        file_ref: file.file_ref,
+        strategy,
+        deleted_by: by,
+        deleted_at: new Date()
+    });
+    await filesCollection.deleteOne({ _id: file._id });
+    await updateTermIndex(file.file_name, -1);
+    if (file.pack_id) {
+        await packsCollection.updateOne({ _id: file.pack_id }, { $pull: { files: { file_ref: file.file_ref } } });
+        await packsCollection.deleteOne({ _id: file.pack_id, files: { $size: 0 } });
+    }
+    return insertedId;
+}
+
+// Helper: Put a soft-deleted file back into the index (fails if it was re-indexed meanwhile)
+async function restoreDeletedFile(deletionId) {
+    const record = await deletedFilesCollection.findOne({ _id: deletionId });
+    if (!record || record.deleted_at < new Date(Date.now() - DELETED_FILE_RETENTION_DAYS * 86400 * 1000)) {
+        return { success: false, message: 'Undo window has expired.' };
+    }
+
+    const { file } = record;
+    const existing = await filesCollection.findOne({ $or: [{ _id: file._id }, ...(file.file_ref ? [{ file_ref: file.file_ref }] : [])] });
+    if (existing) {
+        await deletedFilesCollection.deleteOne({ _id: deletionId });
+        return { success: false, message: 'File is already indexed again.' };
+    }
+
+    // Re-join its pack if that still exists
+    if (file.pack_id) {
+        const pack = await packsCollection.findOneAndUpdate(
+            { _id: file.pack_id },
+            { $addToSet: { files: { file_ref: file.file_ref, message_id: file.source_message_id ?? null } } }
+        );
+        if (!pack) delete file.pack_id;
+    }
+
+    await filesCollection.insertOne(file);
+    await updateTermIndex(file.file_name, 1);
+    await deletedFilesCollection.deleteOne({ _id: deletionId });
+    return { success: true, file };
+}
+
+// Helper: Send a message to every admin's PM (admins who never started the bot are skipped)
+async function notifyAdmins(text, extra = {}) {
+    for (const adminId of ADMIN_IDS) {
+        await bot.telegram.sendMessage(adminId, text, { parse_mode: 'Markdown', ...extra }).catch(() => { });
+    }
+}
+
+// Helper: Progress/summary text of an indexing job
+function formatIndexJobStatus(job) {
+    const { indexed, duplicates, skipped, errors } = job.counters;
+    const total = job.from_message_id - job.to_message_id + 1;
+    const done = job.from_message_id - job.cursor;
+    const progress = ((done / total) * 100).toFixed(1);
+
+    const titles = {
+        running: job.cancel_requested ? '🛑 *Cancelling Indexing...*' : '⏳ *Indexing in progress...*',
+        completed: '✅ *Indexing Complete!*',
+        cancelled: '🛑 *Indexing Cancelled*',
+        failed: '❌ *Indexing Failed*'
+    };
+
+    return `${titles[job.status]}\n\n` +
+        `📍 *Channel ID:* \`${job.channel_id}\`\n` +
+        `📨 *Range:* \`${job.from_message_id}\` → \`${job.to_message_id}\`\n` +
+        `📊 *Progress:* \`${progress}%\` (\`${done}\` / \`${total}\`)\n\n` +
+        `📥 *Indexed:* ${indexed} files\n` +
+        `⚠️ *Duplicates:* ${duplicates}\n` +
+        `⏭️ *Skipped:* ${skipped}\n` +
+        `❌ *Errors:* ${errors}` +
+        formatDuplicateReport(job.duplicate_report) +
+        (job.stopped_at_gap ? `\n\n_Stopped early: ${INDEX_JOB_MAX_GAP} messages in a row could not be read._` : '') +
+        (job.error ? `\n\n💬 \`${job.error}\`` : '');
+}
+
+// Helper: List which incoming files collided with already indexed ones
+function formatDuplicateReport(report = []) {
+    if (report.length === 0) return '';
+    const name = (n) => (n || 'Untitled').replace(/`/g, "'").substring(0, 50);
+    const lines = report.slice(-INDEX_JOB_REPORT_SHOWN).map(d =>
+        d.file_name === d.existing_name
+            ? `• \`${name(d.file_name)}\` (#${d.message_id})`
+            : `• \`${name(d.file_name)}\` (#${d.message_id}) = \`${name(d.existing_name)}\``
+    );
+    return `\n\n🔁 *Duplicates (last ${lines.length}):*\n${lines.join('\n')}`;
+}
+
+// Helper: Edit the progress message owned by an indexing job
+async function editIndexJobProgress(job) {
+    await bot.telegram.editMessageText(
+        job.progress_chat_id,
+        job.progress_message_id,
+        null,
+        formatIndexJobStatus(job),
+        { parse_mode: 'Markdown' }
+    ).catch(() => { });
+}
+
+// Run (or resume) a persisted indexing job: walks the channel backwards from its cursor
+async function runIndexJob(jobId) {
+    if (runningIndexJobs.has(String(jobId))) return;
+    runningIndexJobs.add(String(jobId));
 
     try {
-        // Start from the forwarded message and go backwards
-        let currentMessageId = fromMessageId;
+        let job = await indexJobsCollection.findOne({ _id: jobId });
+        if (!job || job.status !== 'running') return;
+
+        const counters = { ...job.counters };
+        const duplicateReport = [...(job.duplicate_report || [])];
+        let cursor = job.cursor;
+        let processed = 0;
+        let gap = 0;
+
+        const save = async (extra = {}) => {
+            job = await indexJobsCollection.findOneAndUpdate(
+                { _id: jobId },
+                { $set: { cursor, counters, duplicate_report: duplicateReport, updated_at: new Date(), ...extra } },
+                { returnDocument: 'after' }
+            );
+            await editIndexJobProgress(job);
+        };
 
-        for (let i = 0; i < 1000; i++) { // Limit to prevent infinite loop
+        while (cursor >= job.to_message_id && !job.cancel_requested) {
             try {
-                const message = await bot.telegram.forwardMessage(
-                    ctx.chat.id,
-                    channelId,
-                    currentMessageId
-                );
-
-                // Delete the forwarded message immediately
-                await bot.telegram.deleteMessage(ctx.chat.id, message.message_id);
+                // Forward into the admin chat to read the message, then remove the copy
+                const message = await bot.telegram.forwardMessage(job.scratch_chat_id, job.channel_id, cursor);
+                await bot.telegram.deleteMessage(job.scratch_chat_id, message.message_id).catch(() => { });
+                gap = 0;
 
-                const media = message.document || message.video || message.audio;
-                const type = message.document ? 'document' : (message.video ? 'video' : 'audio');
+                const { media, type } = extractMedia(message);
 
                 if (media) {
                     const result = await indexFile({
@@ -816,11 +2234,15 @@ async function batchIndexFromChannel(channelId, fromMessageId, ctx) {
                         file_size: media.file_size,
                         mime_type: media.mime_type,
                         file_type: type,
-                        caption: message.caption || ''
+                        caption: message.caption || '',
+                        source_chat_id: job.channel_id,
+                        source_message_id: cursor,
+                        media_group_id: message.media_group_id,
+                        ...getChannelIndexSettings(job.channel_id)
                     });
 
                     if (result.success) {
-                        indexed++;
+                        counters.indexed++;
 
                         // Log each indexed file
                         await sendLog(
@@ -828,39 +2250,83 @@ async function batchIndexFromChannel(channelId, fromMessageId, ctx) {
                             `📁 *File:* ${media.file_name || message.caption || 'Untitled'}\n` +
                             `💾 *Size:* ${formatFileSize(media.file_size)}\n` +
                             `🆔 *Type:* ${type}\n` +
-                            `📍 *From:* Channel ${channelId}`
+                            `📍 *From:* Channel ${job.channel_id}`
                         );
                     } else if (result.duplicate) {
-                        duplicates++;
+                        counters.duplicates++;
+                        duplicateReport.push({
+                            message_id: cursor,
+                            file_name: media.file_name || message.caption || 'Untitled',
+                            existing_name: result.existing?.file_name
+                        });
+                        if (duplicateReport.length > INDEX_JOB_REPORT_KEPT) duplicateReport.shift();
                     }
+                } else {
+                    counters.skipped++;
                 }
-
-                currentMessageId--;
-
-                // Update progress every 10 files
-                if ((indexed + duplicates) % 10 === 0) {
-                    await ctx.telegram.editMessageText(
-                        ctx.chat.id,
-                        ctx.message.message_id + 1,
-                        null,
-                        `⏳ Indexing in progress...\n\n✅ Indexed: ${indexed}\n⚠️ Duplicates: ${duplicates}`
-                    ).catch(() => { });
+            } catch (error) {
+                // Flood wait: retry the same message after Telegram's cooldown
+                if (error.response && error.response.error_code === 429) {
+                    const retryAfter = error.response.parameters?.retry_after || 5;
+                    await new Promise(r => setTimeout(r, retryAfter * 1000));
+                    continue;
                 }
 
-            } catch (error) {
-                // If we can't fetch the message, we've reached the beginning
+                // 400 means the message was deleted or can't be forwarded (a long run of them: nothing older is left)
                 if (error.response && error.response.error_code === 400) {
-                    break;
+                    counters.skipped++;
+                    gap++;
+                } else {
+                    counters.errors++;
                 }
-                errors++;
-                currentMessageId--;
+            }
+
+            cursor--;
+            processed++;
+            if (gap >= INDEX_JOB_MAX_GAP) break;
+
+            // Persist the cursor (so a restart resumes here), refresh progress and pick up cancellation
+            if (processed % INDEX_JOB_SAVE_EVERY === 0) {
+                await save();
             }
         }
 
-        return { indexed, duplicates, errors };
+        await save({
+            status: job.cancel_requested && cursor >= job.to_message_id ? 'cancelled' : 'completed',
+            stopped_at_gap: gap >= INDEX_JOB_MAX_GAP,
+            finished_at: new Date()
+        });
+
+        // Log indexing completion
+        await sendLog(
+            `${job.status === 'completed' ? '✅ *Batch Indexing Completed*' : '🛑 *Batch Indexing Cancelled*'}\n\n` +
+            `📥 *Indexed:* ${counters.indexed} files\n` +
+            `⚠️ *Duplicates:* ${counters.duplicates}\n` +
+            `⏭️ *Skipped:* ${counters.skipped}\n` +
+            `❌ *Errors:* ${counters.errors}\n` +
+            `👤 *Admin:* ${job.admin.name} (${job.admin.id})\n` +
+            `⏰ *Finished:* ${new Date().toLocaleString()}` +
+            formatDuplicateReport(job.duplicate_report)
+        );
     } catch (error) {
         console.error('Batch indexing error:', error);
-        return { indexed, duplicates, errors };
+        const job = await indexJobsCollection.findOneAndUpdate(
+            { _id: jobId },
+            { $set: { status: 'failed', error: error.message, updated_at: new Date(), finished_at: new Date() } },
+            { returnDocument: 'after' }
+        ).catch(() => null);
+        if (job) await editIndexJobProgress(job);
+    } finally {
+        runningIndexJobs.delete(String(jobId));
+    }
+}
+
+// Resume indexing jobs that were still running when the bot stopped
+async function resumeIndexJobs() {
+    const jobs = await indexJobsCollection.find({ status: 'running' }).sort({ created_at: 1 }).toArray();
+    for (const job of jobs) {
+        console.log(`🔄 Resuming indexing job ${job._id} at message ${job.cursor}...`);
+        await runIndexJob(job._id);
     }
 }
 
@@ -879,6 +2345,7 @@ bot.command('me', async (ctx) => {
 💎 *Status:* ${user.isPremium ? '🌟 Premium' : 'Free User'}
 🤝 *Referrals:* \`${user.referrals || 0}\`
 📅 *Joined:* ${user.joined_at ? new Date(user.joined_at).toLocaleDateString() : 'N/A'}
+${formatQuotaStatus(isAdmin(ctx.from.id) ? { unlimited: true } : await getQuotaStatus(ctx.from.id))}
 
 🚀 _Share your link to grow your rank!_`;
 
@@ -960,7 +2427,7 @@ bot.on('document', async (ctx) => {
     if (!await checkUser(ctx)) return;
     if (ctx.chat.type !== 'private') return;
 
-    const doc = ctx.message.document;
+    const { media: doc, type } = extractMedia(ctx.message);
     // Normal indexing or other attachment logic
     return indexFile({
         file_id: doc.file_id,
@@ -968,8 +2435,10 @@ bot.on('document', async (ctx) => {
         file_name: doc.file_name,
         file_size: doc.file_size,
         mime_type: doc.mime_type,
-        file_type: 'document',
-        caption: ctx.message.caption || ''
+        file_type: type,
+        caption: ctx.message.caption || '',
+        source_chat_id: ctx.chat.id,
+        source_message_id: ctx.message.message_id
     }).then(res => {
         if (res.success) ctx.reply(`✅ File indexed: ${doc.file_name}`).catch(() => { });
     });
@@ -1108,6 +2577,15 @@ bot.start(async (ctx) => {
         const payload = startPayload.replace('get_', '');
         await handleDumpBatch(ctx, payload);
         return;
+    } else if (startPayload && startPayload.startsWith('pack_')) {
+        await sendPack(ctx, startPayload.replace('pack_', ''));
+        return;
+    } else if (startPayload && startPayload.startsWith('search_')) {
+        await handleSharedSearch(ctx, startPayload.replace('search_', ''));
+        return;
+    } else if (startPayload && startPayload.startsWith('batch_')) {
+        await handleStatelessBatch(ctx, startPayload.replace('batch_', ''));
+        return;
     } else {
         await showWelcome(ctx);
     }
@@ -1115,8 +2593,87 @@ bot.start(async (ctx) => {
 
 
 
+// Helper: Does a Telegram error mean the stored file_id itself is unusable?
+function isInvalidFileError(error) {
+    const description = error.response?.description || error.message || '';
+    return error.response?.error_code === 400 && /file identifier|file_id|file reference|wrong type of/i.test(description);
+}
+
+// Helper: Count a failed delivery against a file; quarantine it after repeated invalid-file errors
+async function recordDeliveryFailure(file, error) {
+    if (!isInvalidFileError(error)) return;
+    try {
+        const updated = await filesCollection.findOneAndUpdate(
+            { _id: file._id },
+            {
+                $inc: { delivery_failures: 1 },
+                $set: { last_delivery_error: { at: new Date(), message: error.response?.description || error.message } }
+            },
+            { returnDocument: 'after' }
+        );
+        if (updated && !updated.broken && updated.delivery_failures >= BROKEN_FILE_THRESHOLD) {
+            await filesCollection.updateOne({ _id: file._id }, { $set: { broken: true, broken_at: new Date() } });
+            await sendLog(
+                `🚧 *File Quarantined*\n\n` +
+                `📁 *File:* \`${escapeMarkdownSpan(file.file_name, '`')}\`\n` +
+                `❌ *Failures:* ${updated.delivery_failures}\n` +
+                `💬 *Error:* \`${escapeMarkdownSpan(updated.last_delivery_error.message, '`')}\`\n\n` +
+                `_Hidden from search. Review with /broken_`
+            );
+        }
+    } catch (e) {
+        console.error('Error recording delivery failure:', e);
+    }
+}
+
+// Helper: A successful delivery clears the failure count
+async function recordDeliverySuccess(file) {
+    if (!file.delivery_failures) return;
+    await filesCollection.updateOne({ _id: file._id }, { $unset: { delivery_failures: '', last_delivery_error: '' } }).catch(() => { });
+}
+
+// Delivery service: every indexed file goes out through deliverFile (captions, protect-content, failure tracking).
+// sendFile is the single-file mode, sendFileBatch the batch mode; both handle monetization, logging and auto-delete.
+
+// Helper: Caption shown under every delivered file
+function buildDeliveryCaption(file) {
+    return `🎬 *${escapeMarkdownSpan(file.file_name, '*')}*\n\n` +
+        `📦 *Size:* ${formatFileSize(file.file_size)}\n` +
+        `⚠️ _This file will auto-delete in ${Math.floor(AUTO_DELETE_SECONDS / 60)} minutes_`;
+}
+
+// Helper: Send one indexed file with the method matching its type; null when its file_id is dead
+async function deliverFile(ctx, file, chatId, extra = {}) {
+    const method = MEDIA_SEND_METHODS[file.file_type] || 'sendDocument';
+    try {
+        const sent = await ctx.telegram[method](chatId, file._id, {
+            caption: buildDeliveryCaption(file),
+            parse_mode: 'Markdown',
+            protect_content: PROTECT_CONTENT,
+            ...extra
+        });
+        await recordDeliverySuccess(file);
+        return sent;
+    } catch (error) {
+        await recordDeliveryFailure(file, error);
+        if (isInvalidFileError(error)) return null;
+        throw error;
+    }
+}
+
+// Helper: Log a delivery to the log channel
+async function logDelivery(ctx, files) {
+    const totalSize = files.reduce((sum, f) => sum + (f.file_size || 0), 0);
+    const header = files.length === 1
+        ? `📤 *File Delivered*\n\n👤 *User:* ${escapeMarkdown(ctx.from.first_name)} (\`${ctx.from.id}\`)\n📁 *File:* \`${escapeMarkdownSpan(files[0].file_name, '`')}\`\n`
+        : `📤 *Batch Delivered*\n\n👤 *User:* ${escapeMarkdown(ctx.from.first_name)} (\`${ctx.from.id}\`)\n📦 *Files:* ${files.length}\n`;
+    await sendLog(`${header}💾 *Size:* ${formatFileSize(totalSize)}`);
+}
+
 // Helper: Send file with auto-delete and CTA button
 async function sendFile(ctx, fileId) {
+    let quota = null;
+    let delivered = false;
     try {
         // Retrieve file by _id OR file_ref (to support both old and new links)
         const file = await filesCollection.findOne({
@@ -1128,55 +2685,90 @@ async function sendFile(ctx, fileId) {
             return;
         }
 
+        quota = await consumeQuota(ctx.from.id, 1);
+        if (!quota) return sendQuotaExceeded(ctx, ctx.chat.id, 1);
+
         // Practical Monetization: Forward the most recent ad post
         await triggerMonetization(ctx);
 
-        const keyboard = Markup.inlineKeyboard([
-            [Markup.button.url('🍿 Join Main Channel', FSUB_LINK)]
-        ]);
+        const keyboardRows = [[Markup.button.url('🍿 Join Main Channel', FSUB_LINK)]];
 
-        const deleteInMins = Math.floor(AUTO_DELETE_SECONDS / 60);
-        const caption = `🎬 *${file.file_name}*\n\n` +
-            `📦 *Size:* ${formatFileSize(file.file_size)}\n` +
-            `⚠️ _This file will auto-delete in ${deleteInMins} minutes_`;
+        // Admins can jump back to the post the file was indexed from
+        const postUrl = isAdmin(ctx.from.id) && buildPostUrl(file.source_chat_id, file.source_message_id);
+        if (postUrl) keyboardRows.push([Markup.button.url('📍 Original Post', postUrl)]);
 
-        let sentMsg;
-        if (file.file_type === 'video') {
-            sentMsg = await ctx.replyWithVideo(file._id, { caption, ...keyboard, parse_mode: 'Markdown' });
-        } else if (file.file_type === 'audio') {
-            sentMsg = await ctx.replyWithAudio(file._id, { caption, ...keyboard, parse_mode: 'Markdown' });
-        } else {
-            sentMsg = await ctx.replyWithDocument(file._id, { caption, ...keyboard, parse_mode: 'Markdown' });
+        const quotaText = formatQuotaStatus(quota);
+        const sentMsg = await deliverFile(ctx, file, ctx.chat.id, {
+            caption: buildDeliveryCaption(file) + (quotaText ? `\n\n${quotaText}` : ''),
+            ...Markup.inlineKeyboard(keyboardRows)
+        });
+        if (!sentMsg) {
+            await refundQuota(ctx.from.id, quota, 1);
+            quota = null;
+            await ctx.reply('❌ This file is no longer available. Admins have been notified.');
+            return;
         }
+        delivered = true;
 
-        // Log file delivery
-        await sendLog(
-            `📤 *File Delivered*\n\n` +
-            `👤 *User:* ${ctx.from.first_name} (\`${ctx.from.id}\`)\n` +
-            `📁 *File:* \`${file.file_name}\`\n` +
-            `💾 *Size:* ${formatFileSize(file.file_size)}`
+        // Delete the file and the /start command message that triggered it, then clean up the notice after 10 seconds
+        await scheduleDeletion(
+            [
+                { chat_id: ctx.chat.id, message_id: sentMsg.message_id },
+                ctx.message ? { chat_id: ctx.chat.id, message_id: ctx.message.message_id } : null
+            ],
+            AUTO_DELETE_SECONDS,
+            { chat_id: ctx.chat.id, text: `❌ *File Deleted!* \n\nFiles are removed to keep our server fast. \n\n_Just search again if you missed it!_`, delete_after: 10 }
         );
 
-        setTimeout(async () => {
-            try {
-                // Delete the file message
-                await ctx.telegram.deleteMessage(ctx.chat.id, sentMsg.message_id);
-
-                // Delete the /start command message that triggered this
-                if (ctx.message) {
-                    await ctx.telegram.deleteMessage(ctx.chat.id, ctx.message.message_id).catch(() => { });
-                }
-
-                const delMsg = await ctx.reply(`❌ *File Deleted!* \n\nFiles are removed to keep our server fast. \n\n_Just search again if you missed it!_`, { parse_mode: 'Markdown' });
-                // Clean up the "File Deleted" message after 10 seconds
-                setTimeout(() => {
-                    ctx.telegram.deleteMessage(ctx.chat.id, delMsg.message_id).catch(() => { });
-                }, 10000);
-            } catch (error) { }
-        }, AUTO_DELETE_SECONDS * 1000);
+        await logDelivery(ctx, [file]);
     } catch (error) {
         console.error('Error sending file:', error);
+        // Blocked bot, full send queue, network errors: the file never arrived
+        if (quota && !delivered) await refundQuota(ctx.from.id, quota, 1);
+    }
+}
+
+// Helper: Send files to the user's PM and schedule their auto-delete; returns how many were sent
+async function sendFileBatch(ctx, files) {
+    const quota = await consumeQuota(ctx.from.id, files.length, 1);
+    if (!quota) {
+        await sendQuotaExceeded(ctx, ctx.from.id, files.length, 1);
+        return 0;
+    }
+
+    await triggerMonetization(ctx);
+
+    const sentMessages = [];
+    const delivered = [];
+    for (const file of files) {
+        try {
+            const sent = await deliverFile(ctx, file, ctx.from.id);
+            if (!sent) continue;
+            sentMessages.push(sent.message_id);
+            delivered.push(file);
+        } catch (err) {
+            console.error(`Error sending batch file ${file._id}:`, err.message);
+        }
+    }
+
+    // Undelivered files (and an empty batch) don't count against the quota
+    await refundQuota(ctx.from.id, quota, files.length - sentMessages.length, sentMessages.length === 0 ? 1 : 0);
+
+    if (sentMessages.length > 0) {
+        const quotaText = formatQuotaStatus(quota);
+        if (quotaText) {
+            const summary = await ctx.telegram.sendMessage(ctx.from.id, `✅ *${sentMessages.length} files sent*\n\n${quotaText}`, { parse_mode: 'Markdown' }).catch(() => null);
+            if (summary) sentMessages.push(summary.message_id);
+        }
+        await scheduleDeletion(
+            sentMessages.map(id => ({ chat_id: ctx.from.id, message_id: id })),
+            AUTO_DELETE_SECONDS,
+            { chat_id: ctx.from.id, text: `❌ *Files Deleted!* \n\n_Chat cleaned to maintain privacy._`, delete_after: 10 }
+        );
+        await logDelivery(ctx, delivered);
     }
+
+    return delivered.length;
 }
 
 // Handle new group members (Auto-Welcome)
@@ -1305,9 +2897,15 @@ _Copy and share this link to earn referrals!_`;
     await ctx.editMessageText(referText, { parse_mode: 'Markdown', ...keyboard });
 });
 
-// Handle request button action
+// Handle request button action (payload is the query, or s:<session> from a zero-result search)
 bot.action(/^req_(.+)$/, async (ctx) => {
-    const query = ctx.match[1];
+    let query = ctx.match[1];
+    const sessionMatch = query.match(/^s:(.+)$/);
+    if (sessionMatch) {
+        const session = await getSearchSession(ctx, sessionMatch[1]);
+        if (!session) return;
+        query = session.query;
+    }
 
     // Save request
     await requestsCollection.updateOne(
@@ -1377,18 +2975,13 @@ bot.command('broadcast', async (ctx) => {
 
                 // Individual auto-delete if timer is set
                 if (deleteTimerMins > 0) {
-                    setTimeout(() => {
-                        ctx.telegram.deleteMessage(user.user_id, sent.message_id).catch(() => { });
-                    }, deleteTimerMins * 60 * 1000);
+                    await scheduleDeletion([{ chat_id: user.user_id, message_id: sent.message_id }], deleteTimerMins * 60);
                 }
             } catch (error) {
                 broadcastState.failed++;
             }
             broadcastState.current++;
 
-            // Rate limit: ~20-30 msgs/sec is safe
-            await new Promise(r => setTimeout(r, 40));
-
             // Update status every 100 users
             if (broadcastState.current % 100 === 0) {
                 const progress = ((broadcastState.current / broadcastState.total) * 100).toFixed(1);
@@ -1565,6 +3158,67 @@ bot.command('unpremium', async (ctx) => {
     await ctx.reply(`❌ *User ${uid} premium status removed.*`, { parse_mode: 'Markdown' });
 });
 
+// Set daily quotas for a tier or a single user
+bot.command('setquota', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const [, target, filesArg, batchesArg] = ctx.message.text.split(' ');
+    const usage = 'Usage: /setquota <free|premium|uid> <files> <batches>\n\n`/setquota <uid> clear` removes a user override.';
+
+    if (target && /^\d+$/.test(target) && filesArg === 'clear') {
+        await usersCollection.updateOne({ user_id: parseInt(target) }, { $unset: { quota: '' } });
+        return ctx.reply(`✅ *User ${target} is back on their tier's quota.*`, { parse_mode: 'Markdown' });
+    }
+
+    const files = parseInt(filesArg);
+    const batches = parseInt(batchesArg);
+    if (!target || !(files >= 0) || !(batches >= 0)) return ctx.reply(usage, { parse_mode: 'Markdown' });
+
+    if (Object.hasOwn(QUOTA_LIMITS, target)) {
+        QUOTA_LIMITS = { ...QUOTA_LIMITS, [target]: { files, batches } };
+        await settingsCollection.updateOne({ key: 'quota_limits' }, { $set: { value: QUOTA_LIMITS } }, { upsert: true });
+        return ctx.reply(`✅ *${target === 'premium' ? 'Premium' : 'Free'} quota:* ${files} files, ${batches} batches per day`, { parse_mode: 'Markdown' });
+    }
+
+    const uid = parseInt(target);
+    if (!uid) return ctx.reply(usage, { parse_mode: 'Markdown' });
+    await usersCollection.updateOne({ user_id: uid }, { $set: { quota: { files, batches } } }, { upsert: true });
+    await ctx.reply(`✅ *User ${uid} quota:* ${files} files, ${batches} batches per day`, { parse_mode: 'Markdown' });
+});
+
+// Reset a user's usage for today
+bot.command('resetquota', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const uid = parseInt(ctx.message.text.split(' ')[1]);
+    if (!uid) return ctx.reply('Usage: /resetquota <uid>');
+    await quotasCollection.deleteOne({ _id: uid });
+    await ctx.reply(`🔄 *Quota reset for user ${uid}.*`, { parse_mode: 'Markdown' });
+});
+
+// Show a user's quota usage
+bot.command('quota', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const uid = parseInt(ctx.message.text.split(' ')[1]);
+    if (!uid) {
+        return ctx.reply(
+            `📊 *Daily Quotas*\n\n` +
+            `👤 *Free:* ${QUOTA_LIMITS.free.files} files, ${QUOTA_LIMITS.free.batches} batches\n` +
+            `🌟 *Premium:* ${QUOTA_LIMITS.premium.files} files, ${QUOTA_LIMITS.premium.batches} batches\n\n` +
+            `_Usage:_ /quota <uid>`,
+            { parse_mode: 'Markdown' }
+        );
+    }
+
+    const user = await usersCollection.findOne({ user_id: uid });
+    const status = await getQuotaStatus(uid);
+    await ctx.reply(
+        `📊 *Quota for ${uid}*\n\n` +
+        `💎 *Tier:* ${user?.isPremium ? 'Premium' : 'Free'}${user?.quota ? ' (custom limits)' : ''}\n` +
+        `📤 *Used today:* ${status.files} files, ${status.batches} batches\n` +
+        formatQuotaStatus(status),
+        { parse_mode: 'Markdown' }
+    );
+});
+
 // Set manual ad post ID
 bot.command('setads', async (ctx) => {
     if (!isAdmin(ctx.from.id)) return;
@@ -1576,21 +3230,107 @@ bot.command('setads', async (ctx) => {
     await ctx.reply(`✅ *Target Ad Post updated to:* \`${postId}\``, { parse_mode: 'Markdown' });
 });
 
-// Admin Dashboard
-bot.command('admin', async (ctx) => {
-    if (!isAdmin(ctx.from.id)) return;
-
-    const stats = await getDatabaseStats();
-    const adminText = `🛠️ *Admin Dashboard*
+// Helper: Short reference for a file in callback data (file_unique_id, else a stored random ref; file_ids overflow 64 bytes)
+async function getFileCallbackRef(file) {
+    if (file.file_ref) return file.file_ref;
+    if (file.short_ref) return file.short_ref;
+    const shortRef = crypto.randomBytes(6).toString('base64url');
+    await filesCollection.updateOne({ _id: file._id }, { $set: { short_ref: shortRef } });
+    return shortRef;
+}
 
-🚦 *Maintenance:* ${IS_MAINTENANCE ? '🔴 ON' : '🟢 OFF'}
-👁️ *Monetization:* ${IS_GROWTH_LOCK ? '🟢 AUTO' : '🔴 DISABLED'}
-🌐 *APP URL:* \`${process.env.APP_URL || 'Not Set'}\`
-� *Ping Status:* \`${LAST_PING_STATUS}\`
+// Helper: Text and buttons of the quarantined files list
+async function buildBrokenList() {
+    const total = await filesCollection.countDocuments({ broken: true });
+    const files = await filesCollection.find({ broken: true }).sort({ broken_at: -1 }).limit(10).toArray();
+    if (files.length === 0) return { text: '✅ *No quarantined files.*', buttons: [] };
 
-�📊 *Total Stats:* 
-└ Users: \`${stats.totalUsers}\` 
-└ Files: \`${stats.totalFiles}\``;
+    const lines = files.map((f, i) =>
+        `${i + 1}. \`${(f.file_name || 'Untitled').replace(/`/g, "'")}\`\n` +
+        `   ❌ ${f.delivery_failures || 0} fails - _${escapeMarkdownSpan((f.last_delivery_error?.message || 'unknown').substring(0, 60), '_')}_`
+    );
+    const buttons = [];
+    for (const [i, f] of files.entries()) {
+        const ref = await getFileCallbackRef(f);
+        buttons.push([
+            Markup.button.callback(`♻️ Restore ${i + 1}`, `brk_r:${ref}`),
+            Markup.button.callback(`🗑️ Purge ${i + 1}`, `brk_p:${ref}`)
+        ]);
+    }
+
+    return {
+        text: `🚧 *Quarantined Files* (${total})\n\n${lines.join('\n\n')}${total > files.length ? `\n\n_Showing the latest ${files.length}._` : ''}`,
+        buttons
+    };
+}
+
+// List quarantined (undeliverable) files
+bot.command('broken', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const { text, buttons } = await buildBrokenList();
+    await ctx.reply(text, { parse_mode: 'Markdown', ...Markup.inlineKeyboard(buttons) });
+});
+
+// Restore or purge a quarantined file
+bot.action(/^brk_(r|p):(.+)$/, async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    try {
+        const ref = ctx.match[2];
+        const file = await filesCollection.findOne({ $or: [{ file_ref: ref }, { short_ref: ref }], broken: true });
+        if (!file) return ctx.answerCbQuery('❌ File not found or already handled.', { show_alert: true });
+
+        if (ctx.match[1] === 'r') {
+            await filesCollection.updateOne(
+                { _id: file._id },
+                { $unset: { broken: '', broken_at: '', delivery_failures: '', last_delivery_error: '' } }
+            );
+            await ctx.answerCbQuery('♻️ Restored to search');
+        } else {
+            await removeIndexedFile(file, { strategy: 'broken_purge', by: { type: 'admin', id: ctx.from.id, name: ctx.from.first_name } });
+            await sendLog(`🗑️ *Quarantined File Purged*\n\n📁 *Name:* \`${escapeMarkdownSpan(file.file_name, '`')}\`\n👤 *Admin:* ${ctx.from.first_name} (${ctx.from.id})`);
+            await ctx.answerCbQuery('🗑️ Purged from database');
+        }
+
+        const { text, buttons } = await buildBrokenList();
+        await ctx.editMessageText(text, { parse_mode: 'Markdown', ...Markup.inlineKeyboard(buttons) }).catch(() => { });
+    } catch (e) {
+        console.error('Broken file action error:', e);
+    }
+});
+
+// List applied and pending database migrations
+bot.command('migrations', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+
+    const applied = await migrationsCollection.find({}).sort({ _id: 1 }).toArray();
+    const pending = await getPendingMigrations();
+
+    const appliedText = applied.length > 0
+        ? applied.map(m => `✅ \`${m._id}\` (${new Date(m.applied_at).toLocaleDateString()})`).join('\n')
+        : '_None_';
+    const pendingText = pending.length > 0
+        ? pending.map(m => `⏳ \`${m.id}\` - ${m.description}`).join('\n')
+        : '_None (up to date)_';
+
+    await ctx.reply(`🗄️ *Database Migrations*\n\n*Pending:*\n${pendingText}\n\n*Applied:*\n${appliedText}`, { parse_mode: 'Markdown' });
+});
+
+// Admin Dashboard
+bot.command('admin', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+
+    const stats = await getDatabaseStats();
+    const adminText = `🛠️ *Admin Dashboard*
+
+🚦 *Maintenance:* ${IS_MAINTENANCE ? '🔴 ON' : '🟢 OFF'}
+👁️ *Monetization:* ${IS_GROWTH_LOCK ? '🟢 AUTO' : '🔴 DISABLED'}
+🌐 *APP URL:* \`${process.env.APP_URL || 'Not Set'}\`
+� *Ping Status:* \`${LAST_PING_STATUS}\`
+📤 *Send Queue:* ${formatSendQueueStatus()}
+
+�📊 *Total Stats:* 
+└ Users: \`${stats.totalUsers}\` 
+└ Files: \`${stats.totalFiles}\``;
 
     const keyboard = Markup.inlineKeyboard([
         [Markup.button.callback(IS_MAINTENANCE ? '🟢 Disable Mnt' : '🔴 Enable Mnt', 'toggle_mnt')],
@@ -1639,6 +3379,7 @@ async function triggerAdminRefresh(ctx) {
   📦 *Last Ad Post:* \`${LAST_MONETIZATION_POST_ID || 'Waiting...'}\`
   🌐 *URL:* \`${process.env.APP_URL || 'Not Set'}\`
   📡 *Ping:* \`${LAST_PING_STATUS}\`
+  📤 *Send Queue:* ${formatSendQueueStatus()}
 
 📊 *Total Stats:* 
 └ Users: \`${stats.totalUsers}\` 
@@ -1692,35 +3433,7 @@ bot.action(/^getall_(.+)_(\d+)$/, async (ctx) => {
 
         await ctx.answerCbQuery('Sending files to your PM...');
 
-        const sentMessages = [];
-        for (const file of searchResult.files) {
-            const caption = `🎬 *${escapeMarkdown(file.file_name)}*\n\n📦 *Size:* ${formatFileSize(file.file_size)}\n⚠️ _Auto-delete in ${Math.floor(AUTO_DELETE_SECONDS / 60)} minutes_`;
-            try {
-                let sent;
-                if (file.file_type === 'video') {
-                    sent = await ctx.telegram.sendVideo(ctx.from.id, file._id, { caption, parse_mode: 'Markdown' });
-                } else if (file.file_type === 'audio') {
-                    sent = await ctx.telegram.sendAudio(ctx.from.id, file._id, { caption, parse_mode: 'Markdown' });
-                } else {
-                    sent = await ctx.telegram.sendDocument(ctx.from.id, file._id, { caption, parse_mode: 'Markdown' });
-                }
-                sentMessages.push(sent.message_id);
-            } catch (err) {
-                console.error(`Error sending file ${file._id} to PM:`, err.message);
-            }
-        }
-
-        // Schedule auto-delete for all files and the notification msg
-        setTimeout(async () => {
-            for (const msgId of sentMessages) {
-                try { await ctx.telegram.deleteMessage(ctx.from.id, msgId); } catch (e) { }
-            }
-            const delNotify = await ctx.telegram.sendMessage(ctx.from.id, `❌ *Files Deleted!* \n\n_Chat cleaned to maintain privacy._`, { parse_mode: 'Markdown' });
-            setTimeout(() => {
-                ctx.telegram.deleteMessage(ctx.from.id, delNotify.message_id).catch(() => { });
-            }, 10000); // Delete the notification after 10 seconds
-        }, AUTO_DELETE_SECONDS * 1000);
-
+        await sendFileBatch(ctx, await expandPacks(searchResult.files));
     } catch (error) {
         console.error('Error handling getall:', error);
         await ctx.answerCbQuery('Error sending files');
@@ -1733,8 +3446,10 @@ bot.action(/^share_page_(.+)_(\d+)$/, async (ctx) => {
         const query = ctx.match[1];
         const page = parseInt(ctx.match[2]);
 
-        // Base64 encode the query and page safely (with encoding for special chars)
-        const payload = Buffer.from(`${encodeURIComponent(query)}|${page}`).toString('base64url');
+        const payload = encodeSearchPayload(query, page);
+        if (`search_${payload}`.length > START_PAYLOAD_MAX) {
+            return ctx.answerCbQuery('❌ This search is too long to share as a link. Try a shorter query.', { show_alert: true });
+        }
         const shareLink = `https://t.me/${ctx.botInfo.username}?start=search_${payload}`;
 
         await ctx.reply(`🔗 *Stateless Batch Link:*\n\n\`${shareLink}\`\n\n_Anyone with this link can instantly access these results!_`, { parse_mode: 'Markdown' });
@@ -1757,26 +3472,69 @@ bot.action(/^get_link_(.+)$/, async (ctx) => {
     }
 });
 
-// Helper: Handle stateless batch deep link
+// Helper: Encode a result page for search_/batch_ deep links (query|page|lang|year|quality|season|episode|sort|grouped)
+function encodeSearchPayload(query, page, filters = {}) {
+    const parts = [encodeURIComponent(query), page, filters.file_lang, filters.year, filters.quality, filters.season, filters.episode, filters.sort, filters.grouped ? 'g' : null]
+        .map(v => (v || v === 0) ? v : '-');
+    // Unset trailing filters are implied, which keeps links under Telegram's 64-character limit
+    while (parts[parts.length - 1] === '-') parts.pop();
+    return Buffer.from(parts.join('|')).toString('base64url');
+}
+
+// Helper: Decode a search_/batch_ payload (older links carry only query|page)
+function decodeSearchPayload(payload) {
+    const decoded = Buffer.from(payload, 'base64url').toString('utf8');
+    const parts = decoded.split('|').map(s => decodeURIComponent(s));
+
+    const part = (i) => (!parts[i] || parts[i] === '-') ? null : parts[i];
+    return {
+        query: parts[0],
+        page: parseInt(parts[1]) || 0,
+        filters: {
+            file_lang: part(2),
+            year: part(3),
+            quality: part(4),
+            season: part(5),
+            episode: part(6),
+            sort: SORT_OPTIONS[part(7)] ? part(7) : null,
+            grouped: part(8) === 'g'
+        }
+    };
+}
+
+// Helper: Open a shared result page (search_ deep link) with the usual filter and paging controls
+async function handleSharedSearch(ctx, payload) {
+    let decoded;
+    try {
+        decoded = decodeSearchPayload(payload);
+    } catch (error) {
+        decoded = null;
+    }
+    if (!decoded || !decoded.query) {
+        return ctx.reply('❌ This search link is invalid or corrupted. Just search again!');
+    }
+
+    try {
+        await sendSearchResults(ctx, decoded.query, decoded.page, decoded.filters, false, Date.now());
+    } catch (error) {
+        console.error('Error opening shared search link:', error);
+        await ctx.reply('❌ An error occurred while searching. Please try again.');
+    }
+}
+
+// Helper: Handle stateless batch deep link (batch_: delivers the whole shared page)
 async function handleStatelessBatch(ctx, payload) {
     try {
-        const decoded = Buffer.from(payload, 'base64url').toString('utf8');
-        const parts = decoded.split('|').map(s => decodeURIComponent(s));
-
-        const query = parts[0];
-        const page = parseInt(parts[1]) || 0;
-        const filters = {
-            file_lang: parts[2] === '-' ? null : parts[2],
-            year: parts[3] === '-' ? null : parts[3],
-            quality: parts[4] === '-' ? null : parts[4]
-        };
+        const { query, page, filters } = decodeSearchPayload(payload);
 
         let filterText = '';
-        if (filters.file_lang || filters.year || filters.quality) {
+        if (hasActiveFilters(filters)) {
             filterText = '\n🎯 *Filters:* ' + [
                 filters.file_lang ? `\`${LANGUAGES[filters.file_lang] || filters.file_lang}\`` : null,
                 filters.year ? `\`${filters.year}\`` : null,
-                filters.quality ? `\`${filters.quality}\`` : null
+                filters.quality ? `\`${filters.quality}\`` : null,
+                filters.season ? `\`${formatSeasonLabel(filters.season)}\`` : null,
+                filters.episode ? `\`Episode ${filters.episode}\`` : null
             ].filter(Boolean).join(' + ');
         }
 
@@ -1787,35 +3545,7 @@ async function handleStatelessBatch(ctx, payload) {
             return ctx.reply('❌ No files found for this link.');
         }
 
-        const sentMessages = [];
-        for (const file of searchResult.files) {
-            const caption = `🎬 *${escapeMarkdown(file.file_name)}*\n\n📦 *Size:* ${formatFileSize(file.file_size)}\n⚠️ _Auto-delete in ${Math.floor(AUTO_DELETE_SECONDS / 60)} minutes_`;
-            try {
-                let sent;
-                if (file.file_type === 'video') {
-                    sent = await ctx.telegram.sendVideo(ctx.from.id, file._id, { caption, parse_mode: 'Markdown' });
-                } else if (file.file_type === 'audio') {
-                    sent = await ctx.telegram.sendAudio(ctx.from.id, file._id, { caption, parse_mode: 'Markdown' });
-                } else {
-                    sent = await ctx.telegram.sendDocument(ctx.from.id, file._id, { caption, parse_mode: 'Markdown' });
-                }
-                sentMessages.push(sent.message_id);
-            } catch (err) {
-                console.error(`Error sending batch file ${file._id}:`, err.message);
-            }
-        }
-
-        if (sentMessages.length > 0) {
-            setTimeout(async () => {
-                for (const msgId of sentMessages) {
-                    try { await ctx.telegram.deleteMessage(ctx.from.id, msgId); } catch (e) { }
-                }
-                const delNotify = await ctx.telegram.sendMessage(ctx.from.id, `❌ *Batch Files Deleted!* \n\n_Chat cleaned to maintain privacy._`, { parse_mode: 'Markdown' });
-                setTimeout(() => {
-                    ctx.telegram.deleteMessage(ctx.from.id, delNotify.message_id).catch(() => { });
-                }, 10000);
-            }, AUTO_DELETE_SECONDS * 1000);
-        }
+        await sendFileBatch(ctx, await expandPacks(searchResult.files));
     } catch (error) {
         console.error('Error handling stateless batch link:', error);
         await ctx.reply('❌ Error delivering batch files. The link might be corrupted.');
@@ -1848,40 +3578,37 @@ async function handleDumpBatch(ctx, payload) {
             return ctx.reply(`🍿 *Access Restricted*\n\nPlease join our sponsor channel to unlock these files!`, { parse_mode: 'Markdown', ...keyboard });
         }
 
-        // Monetization Forwarding
-        const monetizationChannel = MONETIZATION_CHANNEL_ID || FSUB_CHANNEL_ID;
-        if (IS_GROWTH_LOCK && monetizationChannel && LAST_MONETIZATION_POST_ID) {
-            const userIsPremium = await isPremium(ctx.from.id);
-            if (!userIsPremium) {
-                try {
-                    const forwarded = await ctx.telegram.forwardMessage(ctx.from.id, monetizationChannel, LAST_MONETIZATION_POST_ID);
-                    setTimeout(() => {
-                        ctx.telegram.deleteMessage(ctx.from.id, forwarded.message_id).catch(() => { });
-                    }, 300 * 1000); // 5 mins
-                } catch (e) {
-                    console.error('Error forwarding batch monetization post:', e.message);
-                }
-            }
+        const requested = Math.max(0, end - start + 1);
+        const quota = await consumeQuota(ctx.from.id, requested, 1);
+        if (!quota) {
+            await ctx.telegram.deleteMessage(ctx.chat.id, loadingMsg.message_id).catch(() => { });
+            return sendQuotaExceeded(ctx, ctx.chat.id, requested, 1);
         }
 
+        // Monetization Forwarding
+        await triggerMonetization(ctx);
+
         const sentMessages = [];
         for (let mid = start; mid <= end; mid++) {
             try {
-                const sent = await ctx.telegram.copyMessage(ctx.from.id, chatId, mid);
+                const sent = await ctx.telegram.copyMessage(ctx.from.id, chatId, mid, { protect_content: PROTECT_CONTENT });
                 sentMessages.push(sent.message_id);
             } catch (err) {
                 console.error(`Failed to copy message ${mid} from ${chatId}:`, err.message);
             }
         }
 
+        await refundQuota(ctx.from.id, quota, requested - sentMessages.length, sentMessages.length === 0 ? 1 : 0);
         if (sentMessages.length === 0) {
             return ctx.reply('❌ Error: Could not retrieve files. These messages might have been deleted from the dump channel.');
         }
 
         // Final delivery confirmation
+        const quotaText = formatQuotaStatus(quota);
         const finalMsg = await ctx.reply(
             `✅ *All files delivered!*\n\n` +
             `📦 *Total Files:* \`${sentMessages.length}\`\n` +
+            (quotaText ? `${quotaText}\n` : '') +
             `⚠️ _This entire session will be cleared in 60 minutes to keep your chat clean._`,
             { parse_mode: 'Markdown' }
         );
@@ -1895,28 +3622,18 @@ async function handleDumpBatch(ctx, payload) {
             `⏰ *Cleanup:* 60 mins`
         ).catch(() => { });
 
-        // Thorough PM Cleanup after 60 minutes
-        setTimeout(async () => {
-            try {
-                // 1. Delete trigger message (/start)
-                if (triggerMsgId) await ctx.telegram.deleteMessage(ctx.chat.id, triggerMsgId).catch(() => { });
-
-                // 2. Delete loading message
-                if (loadingMsg) await ctx.telegram.deleteMessage(ctx.chat.id, loadingMsg.message_id).catch(() => { });
-
-                // 3. Delete all files
-                for (const msgId of sentMessages) {
-                    await ctx.telegram.deleteMessage(ctx.from.id, msgId).catch(() => { });
-                }
-
-                // 4. Delete final confirmation
-                await ctx.telegram.deleteMessage(ctx.chat.id, finalMsg.message_id).catch(() => { });
-
-                // 5. Send one last "Cleaned" message
-                const cleanedMsg = await ctx.telegram.sendMessage(ctx.from.id, `❌ *PM session cleared!* \n\n_Everything removed to keep your space clean._`, { parse_mode: 'Markdown' });
-                setTimeout(() => ctx.telegram.deleteMessage(ctx.from.id, cleanedMsg.message_id).catch(() => { }), 10000);
-            } catch (e) { }
-        }, AUTO_DELETE_SECONDS * 1000);
+        // Thorough PM Cleanup after 60 minutes: trigger (/start), loading message, all files and the final
+        // confirmation, then one last "Cleaned" message
+        await scheduleDeletion(
+            [
+                triggerMsgId ? { chat_id: ctx.chat.id, message_id: triggerMsgId } : null,
+                loadingMsg ? { chat_id: ctx.chat.id, message_id: loadingMsg.message_id } : null,
+                ...sentMessages.map(id => ({ chat_id: ctx.from.id, message_id: id })),
+                { chat_id: ctx.chat.id, message_id: finalMsg.message_id }
+            ],
+            AUTO_DELETE_SECONDS,
+            { chat_id: ctx.from.id, text: `❌ *PM session cleared!* \n\n_Everything removed to keep your space clean._`, delete_after: 10 }
+        );
 
     } catch (error) {
         console.error('Error handling dump batch:', error);
@@ -1925,13 +3642,15 @@ async function handleDumpBatch(ctx, payload) {
 }
 
 // Handle pagination and clear filters
-bot.action(/^p:(.+)$/, async (ctx) => {
+// (no page = back to the page the session is on)
+bot.action(/^p:([^:]+)(?::(\d+))?$/, async (ctx) => {
     try {
-        const { page, filters } = deserializeFilters(ctx.match[1]);
-        const query = await extractQuery(ctx);
-        if (!query) return ctx.answerCbQuery('Query Lost. Re-search please.');
+        const sessionId = ctx.match[1];
+        const session = await getSearchSession(ctx, sessionId);
+        if (!session) return;
 
-        await sendSearchResults(ctx, query, page, filters, true);
+        const page = ctx.match[2] !== undefined ? parseInt(ctx.match[2]) : (session.page || 0);
+        await sendSearchResults(ctx, session.query, page, session.filters || {}, true, null, sessionId);
         await ctx.answerCbQuery();
     } catch (e) {
         console.error('Pagination error:', e);
@@ -1940,12 +3659,13 @@ bot.action(/^p:(.+)$/, async (ctx) => {
 });
 
 // Handle opening filter menus (Stateless)
-bot.action(/^f:(lang|year|qual):(.+)$/, async (ctx) => {
+bot.action(/^f:(lang|year|qual|sea):([^:]+)$/, async (ctx) => {
     try {
         const type = ctx.match[1];
-        const state = ctx.match[2];
-        const { page, filters } = deserializeFilters(state);
-        const query = await extractQuery(ctx);
+        const sessionId = ctx.match[2];
+        const session = await getSearchSession(ctx, sessionId);
+        if (!session) return;
+        const filters = session.filters || {};
 
         let buttons = [];
         let title = '';
@@ -1954,23 +3674,27 @@ bot.action(/^f:(lang|year|qual):(.+)$/, async (ctx) => {
             title = 'Select Language:';
             const langCodes = Object.keys(LANGUAGES);
             for (let i = 0; i < langCodes.length; i += 2) {
-                const row = [Markup.button.callback(LANGUAGES[langCodes[i]], `fapl:${serializeFilters(0, { ...filters, file_lang: langCodes[i] })}`)];
+                const row = [Markup.button.callback(LANGUAGES[langCodes[i]], filterAction(sessionId, 'lang', langCodes[i]))];
                 if (langCodes[i + 1]) {
-                    row.push(Markup.button.callback(LANGUAGES[langCodes[i + 1]], `fapl:${serializeFilters(0, { ...filters, file_lang: langCodes[i + 1] })}`));
+                    row.push(Markup.button.callback(LANGUAGES[langCodes[i + 1]], filterAction(sessionId, 'lang', langCodes[i + 1])));
                 }
                 buttons.push(row);
             }
         } else if (type === 'year') {
             // Year menu logic with pagination (if too many years)
-            return showYearMenu(ctx, 0, state);
+            return showYearMenu(ctx, 0, sessionId);
         } else if (type === 'qual') {
             title = 'Select Quality:';
-            ['4K', '1080p', '720p', '480p', 'Cam'].forEach(q => {
-                buttons.push([Markup.button.callback(q, `fapl:${serializeFilters(0, { ...filters, quality: q })}`)]);
+            ['4K', '1080p', '720p', '480p', 'CAM'].forEach(q => {
+                buttons.push([Markup.button.callback(q, filterAction(sessionId, 'qual', q))]);
             });
+        } else if (type === 'sea') {
+            title = 'Select Season:';
+            const searchResult = await searchFiles(session.query, 0, { ...filters, season: null, episode: null });
+            buttons = buildSeasonRows(searchResult.seasons, sessionId);
         }
 
-        buttons.push([Markup.button.callback('« Back to Results', `p:${state}`)]);
+        buttons.push([Markup.button.callback('« Back to Results', `p:${sessionId}`)]);
         await ctx.editMessageText(`🎯 *Refining Search*\n${title}`, {
             parse_mode: 'Markdown',
             reply_markup: Markup.inlineKeyboard(buttons).reply_markup
@@ -1982,107 +3706,165 @@ bot.action(/^f:(lang|year|qual):(.+)$/, async (ctx) => {
 });
 
 // Year menu specialized pagination
-async function showYearMenu(ctx, yrPage, state) {
-    const { page, filters } = deserializeFilters(state);
+async function showYearMenu(ctx, yrPage, sessionId) {
     const yearsPerPage = 12;
     const startIdx = yrPage * yearsPerPage;
     const yearSlice = YEARS.slice(startIdx, startIdx + yearsPerPage);
 
     let buttons = [];
     for (let i = 0; i < yearSlice.length; i += 3) {
-        const row = [Markup.button.callback(yearSlice[i], `fapl:${serializeFilters(0, { ...filters, year: yearSlice[i] })}`)];
-        if (yearSlice[i + 1]) row.push(Markup.button.callback(yearSlice[i + 1], `fapl:${serializeFilters(0, { ...filters, year: yearSlice[i + 1] })}`));
-        if (yearSlice[i + 2]) row.push(Markup.button.callback(yearSlice[i + 2], `fapl:${serializeFilters(0, { ...filters, year: yearSlice[i + 2] })}`));
+        const row = [Markup.button.callback(yearSlice[i], filterAction(sessionId, 'year', yearSlice[i]))];
+        if (yearSlice[i + 1]) row.push(Markup.button.callback(yearSlice[i + 1], filterAction(sessionId, 'year', yearSlice[i + 1])));
+        if (yearSlice[i + 2]) row.push(Markup.button.callback(yearSlice[i + 2], filterAction(sessionId, 'year', yearSlice[i + 2])));
         buttons.push(row);
     }
 
     const navRow = [];
-    if (yrPage > 0) navRow.push(Markup.button.callback('⬅️', `yrm:${yrPage - 1}:${state}`));
-    if (startIdx + yearsPerPage < YEARS.length) navRow.push(Markup.button.callback('➡️', `yrm:${yrPage + 1}:${state}`));
+    if (yrPage > 0) navRow.push(Markup.button.callback('⬅️', `yrm:${yrPage - 1}:${sessionId}`));
+    if (startIdx + yearsPerPage < YEARS.length) navRow.push(Markup.button.callback('➡️', `yrm:${yrPage + 1}:${sessionId}`));
     if (navRow.length > 0) buttons.push(navRow);
 
-    buttons.push([Markup.button.callback('« Back to Results', `p:${state}`)]);
+    buttons.push([Markup.button.callback('« Back to Results', `p:${sessionId}`)]);
     await ctx.editMessageText('🎯 *Refining Search*\nSelect Year:', {
         parse_mode: 'Markdown',
         reply_markup: Markup.inlineKeyboard(buttons).reply_markup
     });
 }
 
-bot.action(/^yrm:(\d+):(.+)$/, async (ctx) => {
+bot.action(/^yrm:(\d+):([^:]+)$/, async (ctx) => {
     return showYearMenu(ctx, parseInt(ctx.match[1]), ctx.match[2]);
 });
 
+// Handle a "did you mean" suggestion (re-runs the search with the suggested spelling)
+bot.action(/^sug:([^:]+):(\d+)$/, async (ctx) => {
+    try {
+        const session = await getSearchSession(ctx, ctx.match[1]);
+        if (!session) return;
+
+        const suggestion = session.suggestions?.[parseInt(ctx.match[2])];
+        if (!suggestion) return ctx.answerCbQuery('Suggestion not available.');
+
+        // The session now searches the suggested spelling (a request from here asks for it too)
+        await searchSessionsCollection.updateOne({ _id: session._id }, { $set: { query: suggestion } });
+        await sendSearchResults(ctx, suggestion, 0, session.filters || {}, true, null, session._id);
+        await ctx.answerCbQuery();
+    } catch (e) {
+        console.error('Suggestion error:', e);
+    }
+});
+
 // Handle applying a filter
-bot.action(/^fapl:(.+)$/, async (ctx) => {
+bot.action(/^fapl:([^:]+):(lang|year|qual|sea|sort|grp|clr):(.+)$/, async (ctx) => {
     try {
-        const { page, filters } = deserializeFilters(ctx.match[1]);
-        const query = await extractQuery(ctx);
-        if (!query) return ctx.answerCbQuery('Query Lost. Re-search please.');
+        const [, sessionId, key, rawValue] = ctx.match;
+        const session = await getSearchSession(ctx, sessionId);
+        if (!session) return;
 
-        await sendSearchResults(ctx, query, page, filters, true);
+        const filters = applyFilterAction(session.filters || {}, key, rawValue === '-' ? null : rawValue);
+        await sendSearchResults(ctx, session.query, 0, filters, true, null, sessionId);
         await ctx.answerCbQuery();
     } catch (e) {
         console.error('Apply filter error:', e);
     }
 });
 
+// Handle opening a grouped title (variant picker with size, quality and language)
+bot.action(/^gv:([^:]+):([^:]+)$/, async (ctx) => {
+    try {
+        const [, fileRef, sessionId] = ctx.match;
+        const session = await getSearchSession(ctx, sessionId);
+        if (!session) return;
+        const filters = session.filters || {};
+
+        const file = await filesCollection.findOne({ file_ref: fileRef });
+        if (!file) return ctx.answerCbQuery('❌ File not found or has been deleted.', { show_alert: true });
+
+        const variantQuery = {
+            title_key: file.title_key,
+            year: file.year,
+            season: file.season ?? null,
+            episode: file.episode ?? null
+        };
+        const filterConditions = buildFilterConditions(filters);
+        if (filterConditions.length > 0) variantQuery.$and = filterConditions;
+
+        const variants = await filesCollection.find(variantQuery).sort({ file_size: -1 }).limit(RESULTS_PER_PAGE * 2).toArray();
+
+        const buttons = variants.map(v => {
+            const details = [
+                formatFileSize(v.file_size),
+                v.quality || 'Unknown Quality',
+                v.file_lang ? (LANGUAGES[v.file_lang] || v.file_lang) : 'Unknown Language'
+            ].join(' • ');
+            return [Markup.button.url(details, `https://t.me/${bot.botInfo.username}?start=file_${v.file_ref || v._id}`)];
+        });
+        buttons.push([Markup.button.callback('« Back to Results', `p:${sessionId}`)]);
+
+        const yearText = file.year ? ` (${file.year})` : '';
+        await ctx.editMessageText(`🗂️ *Choose a Version*\n🎬 \`${file.title_key}\`${yearText}\n📦 *Versions:* ${variants.length}`, {
+            parse_mode: 'Markdown',
+            reply_markup: Markup.inlineKeyboard(buttons).reply_markup
+        });
+        await ctx.answerCbQuery();
+    } catch (e) {
+        console.error('Variant picker error:', e);
+    }
+});
+
 // Handle Share Page Link
-bot.action(/^s:(.+)$/, async (ctx) => {
+bot.action(/^s:([^:]+)$/, async (ctx) => {
     try {
-        const { page, filters } = deserializeFilters(ctx.match[1]);
-        const query = await extractQuery(ctx);
-        if (!query) return ctx.answerCbQuery('Query Lost.');
-
-        const l = filters.file_lang || '-';
-        const y = filters.year || '-';
-        const q = filters.quality || '-';
-        const payload = Buffer.from(`${encodeURIComponent(query)}|${page}|${l}|${y}|${q}`).toString('base64url');
+        const session = await getSearchSession(ctx, ctx.match[1]);
+        if (!session) return;
+        const payload = encodeSearchPayload(session.query, session.page || 0, session.filters || {});
+        // search_ is the longer of the two prefixes
+        if (`search_${payload}`.length > START_PAYLOAD_MAX) {
+            return ctx.answerCbQuery('❌ This search is too long to share as a link. Try a shorter query.', { show_alert: true });
+        }
+
         const shareLink = `https://t.me/${ctx.botInfo.username}?start=search_${payload}`;
+        const batchLink = `https://t.me/${ctx.botInfo.username}?start=batch_${payload}`;
 
-        await ctx.reply(`🔗 *Stateless Filtered Link:*\n\n\`${shareLink}\`\n\n_Anyone with this link can instantly access these exact results!_`, { parse_mode: 'Markdown' });
+        await ctx.reply(
+            `🔗 *Stateless Filtered Link:*\n\n\`${shareLink}\`\n\n_Anyone with this link can instantly open these exact results!_\n\n` +
+            `📥 *Deliver-All Link:*\n\n\`${batchLink}\`\n\n_Sends every file on this page straight to their PM._`,
+            { parse_mode: 'Markdown' }
+        );
         await ctx.answerCbQuery('Link generated!');
     } catch (e) { }
 });
 
 // Handle getall callback
-bot.action(/^gall:(.+)$/, async (ctx) => {
+bot.action(/^gall:([^:]+)$/, async (ctx) => {
     try {
-        const { page, filters } = deserializeFilters(ctx.match[1]);
-        const query = await extractQuery(ctx);
-        if (!query) return ctx.answerCbQuery('Query Lost.');
+        const session = await getSearchSession(ctx, ctx.match[1]);
+        if (!session) return;
 
-        const searchResult = await searchFiles(query, page, filters);
+        const searchResult = await searchFiles(session.query, session.page || 0, session.filters || {});
         if (searchResult.files.length === 0) return ctx.answerCbQuery('No files found');
 
         await ctx.answerCbQuery('Sending files...');
+        await sendFileBatch(ctx, await expandPacks(searchResult.files));
+    } catch (error) {
+        console.error('Error handling gall:', error);
+    }
+});
 
-        const sentMessages = [];
-        for (const file of searchResult.files) {
-            const caption = `🎬 *${escapeMarkdown(file.file_name)}*\n\n📦 *Size:* ${formatFileSize(file.file_size)}\n⚠️ _Auto-delete in ${Math.floor(AUTO_DELETE_SECONDS / 60)} minutes_`;
-            try {
-                let sent;
-                if (file.file_type === 'video') {
-                    sent = await ctx.telegram.sendVideo(ctx.from.id, file._id, { caption, parse_mode: 'Markdown' });
-                } else if (file.file_type === 'audio') {
-                    sent = await ctx.telegram.sendAudio(ctx.from.id, file._id, { caption, parse_mode: 'Markdown' });
-                } else {
-                    sent = await ctx.telegram.sendDocument(ctx.from.id, file._id, { caption, parse_mode: 'Markdown' });
-                }
-                sentMessages.push(sent.message_id);
-            } catch (err) { }
-        }
+// Handle "Get Whole Season" (every episode of the selected season, in order)
+bot.action(/^gsea:([^:]+)$/, async (ctx) => {
+    try {
+        const session = await getSearchSession(ctx, ctx.match[1]);
+        if (!session) return;
+        const filters = session.filters || {};
+        if (!filters.season || filters.season === 'all') return ctx.answerCbQuery('Pick a season first.');
 
-        if (sentMessages.length > 0) {
-            setTimeout(async () => {
-                for (const msgId of sentMessages) {
-                    try { await ctx.telegram.deleteMessage(ctx.from.id, msgId); } catch (e) { }
-                }
-                const delNotify = await ctx.telegram.sendMessage(ctx.from.id, `❌ *Files Deleted!*`, { parse_mode: 'Markdown' });
-                setTimeout(() => ctx.telegram.deleteMessage(ctx.from.id, delNotify.message_id).catch(() => { }), 5000);
-            }, AUTO_DELETE_SECONDS * 1000);
-        }
+        const searchResult = await searchFiles(session.query, 0, { ...filters, episode: null }, MAX_SEASON_FILES);
+        if (searchResult.files.length === 0) return ctx.answerCbQuery('No files found');
+
+        await ctx.answerCbQuery(`Sending ${searchResult.files.length} episodes...`);
+        await sendFileBatch(ctx, await expandPacks(searchResult.files));
     } catch (error) {
-        console.error('Error handling gall:', error);
+        console.error('Error handling gsea:', error);
     }
 });
 
@@ -2127,8 +3909,14 @@ bot.action(/^delete_execute_(.+)$/, async (ctx) => {
 
     if (file) {
         // Delete by _id from the found file
-        await filesCollection.deleteOne({ _id: file._id });
-        await ctx.editMessageText(`✅ *Deleted Successfully!*\n\n📁 ${file.file_name}`, { parse_mode: 'Markdown' });
+        const deletionId = await removeIndexedFile(file, {
+            strategy: 'manual',
+            by: { type: 'admin', id: ctx.from.id, name: ctx.from.first_name }
+        });
+        await ctx.editMessageText(`✅ *Deleted Successfully!*\n\n📁 ${file.file_name}\n\n_Undo within ${DELETED_FILE_RETENTION_DAYS} days._`, {
+            parse_mode: 'Markdown',
+            ...Markup.inlineKeyboard([[Markup.button.callback('↩️ Undo', `undel:${deletionId}`)]])
+        });
 
         await sendLog(
             `🗑️ *File Deleted by Admin*\n\n` +
@@ -2142,6 +3930,66 @@ bot.action(/^delete_execute_(.+)$/, async (ctx) => {
     await ctx.answerCbQuery('Deleted!');
 });
 
+// Confirm / reject a size-only delete match from the delete channel
+bot.action(/^sdc_y:(.+)$/, async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const ref = ctx.match[1];
+    const file = await filesCollection.findOne({ $or: [{ file_ref: ref }, { short_ref: ref }] });
+    if (!file) {
+        await ctx.answerCbQuery('Already deleted.');
+        return ctx.editMessageReplyMarkup(undefined).catch(() => { });
+    }
+
+    const deletionId = await removeIndexedFile(file, {
+        strategy: 'size',
+        by: { type: 'admin', id: ctx.from.id, name: ctx.from.first_name }
+    });
+    await ctx.editMessageText(`🗑️ *Deleted (size match):* \`${escapeMarkdownSpan(file.file_name, '`')}\``, {
+        parse_mode: 'Markdown',
+        ...Markup.inlineKeyboard([[Markup.button.callback('↩️ Undo', `undel:${deletionId}`)]])
+    });
+    await sendLog(`🗑️ *Legacy File Deleted (Size Match, Confirmed)*\n\n📁 *Name:* \`${escapeMarkdownSpan(file.file_name, '`')}\`\n👤 *Admin:* ${ctx.from.first_name} (${ctx.from.id})`);
+    await ctx.answerCbQuery('Deleted');
+});
+
+bot.action('sdc_n', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    await ctx.editMessageText('✅ Kept. Nothing was deleted.');
+    await ctx.answerCbQuery();
+});
+
+// Undo a deletion (within the retention window)
+bot.action(/^undel:([a-f0-9]{24})$/, async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    try {
+        const result = await restoreDeletedFile(new ObjectId(ctx.match[1]));
+        if (!result.success) return ctx.answerCbQuery(`❌ ${result.message}`, { show_alert: true });
+
+        await ctx.answerCbQuery('↩️ Restored!');
+        await ctx.editMessageText(`↩️ *Restored:* \`${escapeMarkdownSpan(result.file.file_name, '`')}\``, { parse_mode: 'Markdown' }).catch(() => { });
+        await sendLog(`↩️ *Deleted File Restored*\n\n📁 *Name:* \`${escapeMarkdownSpan(result.file.file_name, '`')}\`\n👤 *Admin:* ${ctx.from.first_name} (${ctx.from.id})`);
+    } catch (e) {
+        console.error('Undo delete error:', e);
+    }
+});
+
+// Recent deletions with their audit trail and undo buttons
+bot.command('deleted', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+
+    const records = await deletedFilesCollection.find({}).sort({ deleted_at: -1 }).limit(10).toArray();
+    if (records.length === 0) return ctx.reply(`ℹ️ No deletions in the last ${DELETED_FILE_RETENTION_DAYS} days.`);
+
+    const by = (d) => d.type === 'admin' ? `${d.name} (${d.id})` : (d.type === 'channel' ? `Delete Channel #${d.message_id}` : 'System');
+    const lines = records.map((r, i) =>
+        `${i + 1}. \`${(r.file_name || 'Untitled').replace(/`/g, "'")}\`\n` +
+        `   🔎 ${r.strategy} | 👤 ${escapeMarkdown(by(r.deleted_by))} | ⏰ ${r.deleted_at.toLocaleString()}`
+    );
+    const buttons = records.map((r, i) => [Markup.button.callback(`↩️ Undo ${i + 1}`, `undel:${r._id}`)]);
+
+    await ctx.reply(`🗑️ *Recent Deletions*\n\n${lines.join('\n\n')}`, { parse_mode: 'Markdown', ...Markup.inlineKeyboard(buttons) });
+});
+
 bot.action('delete_cancel', async (ctx) => {
     await ctx.editMessageText('❌ Deletion cancelled.');
     await ctx.answerCbQuery();
@@ -2149,41 +3997,524 @@ bot.action('delete_cancel', async (ctx) => {
 
 // Redundant back handler removed
 
-// Handle indexing confirmation
-bot.action(/^confirm_index_(.+)_(.+)$/, async (ctx) => {
-    const channelId = parseInt(ctx.match[1]);
-    const messageId = parseInt(ctx.match[2]);
-
-    await ctx.answerCbQuery('Starting indexing...');
-    await ctx.editMessageText('⏳ Starting batch indexing...\n\nThis may take a while. Please wait...');
+// Helper: Start a persisted indexing job over messages fromMessageId down to toMessageId; it edits the progress message
+async function startIndexJob(ctx, channelId, fromMessageId, toMessageId, progressMessageId) {
+    const job = {
+        channel_id: channelId,
+        from_message_id: fromMessageId,
+        to_message_id: toMessageId,
+        cursor: fromMessageId,
+        counters: { indexed: 0, duplicates: 0, skipped: 0, errors: 0 },
+        status: 'running',
+        cancel_requested: false,
+        scratch_chat_id: ctx.chat.id,
+        progress_chat_id: ctx.chat.id,
+        progress_message_id: progressMessageId,
+        admin: { id: ctx.from.id, name: ctx.from.first_name },
+        created_at: new Date(),
+        updated_at: new Date()
+    };
+    const { insertedId } = await indexJobsCollection.insertOne(job);
+    await editIndexJobProgress(job);
 
     // Log indexing start
     await sendLog(
         `🚀 *Batch Indexing Started*\n\n` +
         `📍 *Channel ID:* ${channelId}\n` +
-        `📨 *From Message:* ${messageId}\n` +
+        `📨 *Messages:* ${fromMessageId} → ${toMessageId}\n` +
         `👤 *Admin:* ${ctx.from.first_name} (${ctx.from.id})\n` +
         `⏰ *Started:* ${new Date().toLocaleString()}`
     );
 
-    const result = await batchIndexFromChannel(channelId, messageId, ctx);
+    // Runs in the background; /index_status and /index_cancel manage it
+    runIndexJob(insertedId).catch(err => console.error('❌ Index job error:', err));
+}
+
+// Handle indexing confirmation (starts a persisted job that owns this message for progress)
+bot.action(/^confirm_index_(.+)_(.+)$/, async (ctx) => {
+    try {
+        const channelId = parseInt(ctx.match[1]);
+        const messageId = parseInt(ctx.match[2]);
+
+        const activeJob = await indexJobsCollection.findOne({ status: 'running' });
+        if (activeJob) {
+            return ctx.answerCbQuery('⚠️ An indexing job is already running. Use /index_status to check it.', { show_alert: true });
+        }
 
-    const summaryText = `✅ *Indexing Complete!*\n\n` +
-        `📥 *Indexed:* ${result.indexed} files\n` +
-        `⚠️ *Duplicates:* ${result.duplicates}\n` +
-        `❌ *Errors:* ${result.errors}`;
+        await ctx.answerCbQuery('Starting indexing...');
+        await startIndexJob(ctx, channelId, messageId, 1, ctx.callbackQuery.message.message_id);
+    } catch (e) {
+        console.error('Index confirm error:', e);
+    }
+});
 
-    await ctx.editMessageText(summaryText, { parse_mode: 'Markdown' });
+// Index a chosen message range of a channel
+bot.command('index', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const [, channelArg, fromArg, toArg] = ctx.message.text.split(' ');
+    const channelId = parseInt(channelArg);
+    const fromId = parseInt(fromArg);
+    const toId = parseInt(toArg);
+    if (!channelId || !(fromId > 0) || !(toId > 0) || toId > fromId) {
+        return ctx.reply('Usage: /index <channel_id> <from_message_id> <to_message_id>\n\nIndexes from the newer message back to the older one.');
+    }
 
-    // Log indexing completion
-    await sendLog(
-        `✅ *Batch Indexing Completed*\n\n` +
-        `📥 *Indexed:* ${result.indexed} files\n` +
-        `⚠️ *Duplicates:* ${result.duplicates}\n` +
-        `❌ *Errors:* ${result.errors}\n` +
-        `👤 *Admin:* ${ctx.from.first_name} (${ctx.from.id})\n` +
-        `⏰ *Completed:* ${new Date().toLocaleString()}`
+    try {
+        const activeJob = await indexJobsCollection.findOne({ status: 'running' });
+        if (activeJob) return ctx.reply('⚠️ An indexing job is already running. Use /index_status to check it.');
+
+        const progressMsg = await ctx.reply('⏳ *Starting indexing...*', { parse_mode: 'Markdown' });
+        await startIndexJob(ctx, channelId, fromId, toId, progressMsg.message_id);
+    } catch (e) {
+        console.error('Index command error:', e);
+        await ctx.reply('❌ Could not start indexing. Check logs.');
+    }
+});
+
+// Show the running (or most recent) indexing job
+bot.command('index_status', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+
+    const job = await indexJobsCollection.findOne({ status: 'running' }) ||
+        await indexJobsCollection.find({}).sort({ created_at: -1 }).limit(1).next();
+    if (!job) return ctx.reply('ℹ️ No indexing jobs yet. Forward a channel post to start one.');
+
+    await ctx.reply(formatIndexJobStatus(job), { parse_mode: 'Markdown' });
+});
+
+// Cancel the running indexing job (it stops at its next checkpoint)
+bot.command('index_cancel', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+
+    const result = await indexJobsCollection.updateOne(
+        { status: 'running' },
+        { $set: { cancel_requested: true, updated_at: new Date() } }
     );
+    if (result.matchedCount === 0) return ctx.reply('ℹ️ No active indexing job to cancel.');
+
+    await ctx.reply('🛑 *Cancellation requested!* The indexing job will stop shortly.', { parse_mode: 'Markdown' });
+});
+
+// Helper: One line describing a registered source channel
+function formatSourceChannel(channel) {
+    const state = channel.paused ? '⏸️ Paused' : (channel.auto_index ? '🟢 Auto-index' : '⚪ Manual only');
+    const lang = channel.default_lang ? LANGUAGES[channel.default_lang] || channel.default_lang : 'Auto';
+    return `📍 *${escapeMarkdownSpan(channel.title || 'Channel', '*')}* (\`${channel._id}\`)\n` +
+        `└ ${state} | 🌐 ${lang} | 🧹 \`${channel.cleanup_profile}\``;
+}
+
+// Register a source (database) channel
+bot.command('channel_add', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const channelId = parseInt(ctx.message.text.split(' ')[1]);
+    if (!channelId) return ctx.reply('Usage: /channel_add <channel_id>');
+
+    try {
+        const chat = await ctx.telegram.getChat(channelId);
+        if (chat.type !== 'channel') return ctx.reply('❌ That chat is not a channel.');
+
+        await channelsCollection.updateOne(
+            { _id: channelId },
+            {
+                $set: { title: chat.title, updated_at: new Date() },
+                $setOnInsert: { ...DEFAULT_CHANNEL_SETTINGS, added_by: ctx.from.id, added_at: new Date() }
+            },
+            { upsert: true }
+        );
+        await loadSourceChannels();
+
+        await ctx.reply(`✅ *Channel registered!*\n\n${formatSourceChannel(sourceChannels.get(channelId))}\n\n_Change settings with_ /channel\\_set`, { parse_mode: 'Markdown' });
+    } catch (e) {
+        await ctx.reply('❌ Could not access that channel. Make sure the bot is an admin there.');
+    }
+});
+
+// List source channels
+bot.command('channels', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    if (sourceChannels.size === 0) return ctx.reply('ℹ️ No source channels registered. Use /channel_add <channel_id>.');
+
+    const list = [...sourceChannels.values()].map(formatSourceChannel).join('\n\n');
+    await ctx.reply(`📚 *Source Channels*\n\n${list}`, { parse_mode: 'Markdown' });
+});
+
+// Pause / resume auto-indexing for a channel
+bot.command(['channel_pause', 'channel_resume'], async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const [command, arg] = ctx.message.text.split(' ');
+    const channelId = parseInt(arg);
+    if (!channelId) return ctx.reply(`Usage: ${command.split('@')[0]} <channel_id>`);
+
+    const paused = command.startsWith('/channel_pause');
+    const result = await channelsCollection.updateOne({ _id: channelId }, { $set: { paused, updated_at: new Date() } });
+    if (result.matchedCount === 0) return ctx.reply('❌ Channel not registered.');
+    await loadSourceChannels();
+
+    await ctx.reply(`${paused ? '⏸️ *Paused:*' : '▶️ *Resumed:*'} \`${channelId}\``, { parse_mode: 'Markdown' });
+});
+
+// Remove a source channel (indexed files stay)
+bot.command('channel_remove', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const channelId = parseInt(ctx.message.text.split(' ')[1]);
+    if (!channelId) return ctx.reply('Usage: /channel_remove <channel_id>');
+
+    const result = await channelsCollection.deleteOne({ _id: channelId });
+    if (result.deletedCount === 0) return ctx.reply('❌ Channel not registered.');
+    await loadSourceChannels();
+
+    await ctx.reply(`🗑️ *Channel removed:* \`${channelId}\`\n\n_Files already indexed from it are kept._`, { parse_mode: 'Markdown' });
+});
+
+// Change a source channel setting
+bot.command('channel_set', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const [, arg, key, rawValue = ''] = ctx.message.text.split(' ');
+    const value = key === 'lang' && rawValue !== 'auto' ? rawValue.toUpperCase() : rawValue;
+    const channelId = parseInt(arg);
+    const usage = `Usage: /channel_set <channel_id> <setting> <value>\n\n` +
+        `lang <${Object.keys(LANGUAGES).join('|')}|auto>\n` +
+        `cleanup <${['none', ...nameRuleProfiles.keys()].join('|')}>\n` +
+        `auto <on|off>`;
+    if (!channelId || !key || !value) return ctx.reply(usage);
+
+    let update;
+    if (key === 'lang' && (LANGUAGES[value] || value === 'auto')) {
+        update = { default_lang: value === 'auto' ? null : value };
+    } else if (key === 'cleanup' && /^[\w-]{1,20}$/.test(value)) {
+        update = { cleanup_profile: value };
+    } else if (key === 'auto' && ['on', 'off'].includes(value)) {
+        update = { auto_index: value === 'on' };
+    } else {
+        return ctx.reply(usage);
+    }
+
+    const result = await channelsCollection.updateOne({ _id: channelId }, { $set: { ...update, updated_at: new Date() } });
+    if (result.matchedCount === 0) return ctx.reply('❌ Channel not registered.');
+    await loadSourceChannels();
+
+    await ctx.reply(`✅ *Channel updated!*\n\n${formatSourceChannel(sourceChannels.get(channelId))}`, { parse_mode: 'Markdown' });
+});
+
+// Re-run the cleanup rules over indexed files (from their original names) in the background
+async function reapplyNameRules(profile) {
+    // Files follow their source channel's profile; files without a registered channel use 'default'
+    const channelIds = [...sourceChannels.values()].filter(c => (c.cleanup_profile || 'default') === profile).map(c => c._id);
+    const query = profile === 'default'
+        ? { $or: [{ source_chat_id: { $in: channelIds } }, { source_chat_id: { $nin: [...sourceChannels.keys()] } }] }
+        : { source_chat_id: { $in: channelIds } };
+
+    let scanned = 0;
+    let renamed = 0;
+    const cursor = filesCollection.find(query, { projection: { file_name: 1, raw_name: 1, source_chat_id: 1 } });
+    for await (const file of cursor) {
+        scanned++;
+        const fields = buildFileNameFields({
+            file_name: file.raw_name || file.file_name,
+            ...getChannelIndexSettings(file.source_chat_id),
+            cleanup_profile: profile
+        });
+        if (fields.file_name === file.file_name) continue;
+
+        await filesCollection.updateOne(
+            { _id: file._id },
+            { $set: { ...fields, raw_name: file.raw_name || file.file_name, meta_v: FILE_META_VERSION } }
+        );
+        await updateTermIndex(file.file_name, -1);
+        await updateTermIndex(fields.file_name, 1);
+        renamed++;
+    }
+    return { scanned, renamed };
+}
+
+// List cleanup rules
+bot.command('rules', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const profile = ctx.message.text.split(' ')[1];
+
+    const rules = await nameRulesCollection.find(profile ? { profile } : {}).sort({ profile: 1, created_at: 1 }).toArray();
+    if (rules.length === 0) return ctx.reply('ℹ️ No cleanup rules. Add one with /rule_add <profile> <type> <value>.');
+
+    const byProfile = {};
+    rules.forEach(r => (byProfile[r.profile] = byProfile[r.profile] || []).push(`\`${r._id}\` ${r.type}: \`${r.value.replace(/`/g, "'")}\``));
+    const text = Object.entries(byProfile).map(([name, lines]) => `🧹 *${escapeMarkdownSpan(name, '*')}*\n${lines.join('\n')}`).join('\n\n');
+
+    await ctx.reply(`📏 *Name Cleanup Rules*\n\n${text}\n\n_Types:_ ${Object.keys(NAME_RULE_TYPES).join(', ')}`, { parse_mode: 'Markdown' });
+});
+
+// Add a cleanup rule
+bot.command('rule_add', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const [, profile, type, ...rest] = ctx.message.text.split(' ');
+    const value = rest.join(' ');
+    if (!profile || !NAME_RULE_TYPES[type] || !value || !/^[\w-]{1,20}$/.test(profile) || profile === 'none') {
+        const types = Object.entries(NAME_RULE_TYPES).map(([t, d]) => `${t} - ${d}`).join('\n');
+        return ctx.reply(`Usage: /rule_add <profile> <type> <value>\n\n${types}\n\nExample: /rule_add default strip \\[?TamilMV\\]?`);
+    }
+
+    const rule = { _id: new ObjectId(), profile, type, value, created_at: new Date() };
+    try {
+        compileNameRule(rule);
+    } catch (e) {
+        return ctx.reply(`❌ Invalid pattern: ${e.message}`);
+    }
+
+    await nameRulesCollection.insertOne(rule);
+    await loadNameRules();
+    await ctx.reply(`✅ *Rule added:* \`${rule._id}\` (${escapeMarkdown(profile)})\n\n_Preview it with_ /rule\\_test, _apply it to old files with_ /rules\\_apply`, { parse_mode: 'Markdown' });
+});
+
+// Delete a cleanup rule
+bot.command('rule_del', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const id = parseRuleId(ctx.message.text.split(' ')[1]);
+    if (!id) return ctx.reply('Usage: /rule_del <rule_id>');
+
+    const result = await nameRulesCollection.deleteOne({ _id: id });
+    if (result.deletedCount === 0) return ctx.reply('❌ Rule not found.');
+    await loadNameRules();
+    await ctx.reply(`🗑️ *Rule deleted:* \`${id}\``, { parse_mode: 'Markdown' });
+});
+
+// Preview a profile (or a single rule) on a sample name, or on recently indexed names
+bot.command('rule_test', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const [, target, ...rest] = ctx.message.text.split(' ');
+    if (!target) return ctx.reply('Usage: /rule_test <profile|rule_id> [sample name]\n\nWithout a name, the 10 most recently indexed files are used.');
+
+    let rules = nameRuleProfiles.get(target);
+    if (!rules) {
+        const ruleId = parseRuleId(target);
+        const rule = ruleId && await nameRulesCollection.findOne({ _id: ruleId });
+        if (!rule) return ctx.reply('❌ No such profile or rule.');
+        // A single rule still honours its profile's whitelist
+        rules = [compileNameRule(rule), ...(nameRuleProfiles.get(rule.profile) || []).filter(r => r.type === 'keep')];
+    }
+
+    const samples = rest.length > 0
+        ? [rest.join(' ')]
+        : (await filesCollection.find({}, { projection: { file_name: 1, raw_name: 1 } }).sort({ indexed_at: -1 }).limit(10).toArray())
+            .map(f => f.raw_name || f.file_name);
+
+    const lines = samples.map(name => {
+        const cleaned = applyNameRules(name, rules);
+        return cleaned === name ? `▫️ ${name}` : `✏️ ${name}\n   ➜ ${cleaned}`;
+    });
+    await ctx.reply(`🧪 Preview: ${target}\n\n${lines.join('\n\n')}`.substring(0, 4000));
+});
+
+// Re-apply a profile's rules to already indexed files
+bot.command('rules_apply', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    const profile = ctx.message.text.split(' ')[1];
+    if (!profile) return ctx.reply('Usage: /rules_apply <profile>');
+
+    await ctx.reply(`⏳ Re-applying *${escapeMarkdownSpan(profile, '*')}* rules to indexed files...`, { parse_mode: 'Markdown' });
+    reapplyNameRules(profile)
+        .then(({ scanned, renamed }) => ctx.reply(`✅ *Rules applied!*\n\n🔍 *Scanned:* ${scanned}\n✏️ *Renamed:* ${renamed}`, { parse_mode: 'Markdown' }))
+        .catch(err => {
+            console.error('Rule re-apply error:', err);
+            ctx.reply('❌ Re-applying rules failed. Check logs.').catch(() => { });
+        });
+});
+
+// Helper: Quote a value for CSV
+function toCsvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper: Parse CSV text into objects keyed by the header row (quoted fields may span lines)
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            if (row.some(Boolean)) rows.push(row);
+            row = [];
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    if (row.some(Boolean)) rows.push(row);
+
+    const [header = [], ...data] = rows;
+    return data.map(values => Object.fromEntries(header.map((key, i) => [key.trim(), values[i] ?? ''])));
+}
+
+// Helper: Validate an import row and map it to indexFile's input (null if invalid)
+function importRowToFileData(row) {
+    if (!row || typeof row !== 'object') return null;
+    const fileType = row.file_type || 'document';
+    if (!row.file_id || !row.file_unique_id || !MEDIA_SEND_METHODS[fileType]) return null;
+
+    const size = Number(row.file_size);
+    const sourceChat = row.source_chat_id === '' || row.source_chat_id == null ? null : Number(row.source_chat_id);
+    const sourceMessage = row.source_message_id === '' || row.source_message_id == null ? null : Number(row.source_message_id);
+    return {
+        file_id: String(row.file_id),
+        file_unique_id: String(row.file_unique_id),
+        file_name: row.raw_name || row.file_name || '',
+        file_size: Number.isFinite(size) ? size : 0,
+        file_type: fileType,
+        mime_type: row.mime_type || undefined,
+        caption: row.caption || '',
+        source_chat_id: Number.isFinite(sourceChat) ? sourceChat : null,
+        source_message_id: Number.isFinite(sourceMessage) ? sourceMessage : null,
+        ...getChannelIndexSettings(sourceChat)
+    };
+}
+
+// Export the file index as JSONL or CSV (admin only)
+bot.command('export_index', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    try {
+        const args = ctx.message.text.split(' ').slice(1);
+        const format = args[0] === 'csv' ? 'csv' : 'jsonl';
+
+        // Optional filters: lang=TA year=2023 quality=1080p channel=-100123
+        const query = {};
+        for (const arg of args) {
+            const [key, value] = arg.split('=');
+            if (!value) continue;
+            if (key === 'lang') query.file_langs = value.toUpperCase();
+            else if (key === 'year') query.year = value;
+            else if (key === 'quality') query.qualities = value;
+            else if (key === 'channel') query.source_chat_id = Number(value);
+        }
+
+        const waitMsg = await ctx.reply('⏳ *Exporting index...*', { parse_mode: 'Markdown' });
+        const date = new Date().toISOString().slice(0, 10);
+        // Every CSV part carries the header so each one imports on its own
+        const header = format === 'csv' ? EXPORT_FIELDS.map(([key]) => key).join(',') + '\n' : '';
+        let lines = [];
+        let partBytes = Buffer.byteLength(header);
+        let parts = 0;
+        let total = 0;
+
+        const sendPart = async () => {
+            if (lines.length === 0) return;
+            parts++;
+            await ctx.replyWithDocument(
+                { source: zlib.gzipSync(header + lines.join('\n')), filename: `index_export_${date}_part${parts}.${format}.gz` },
+                { caption: `📤 *Index Export* (part ${parts})\n\n📦 *Files:* ${lines.length}\n📄 *Format:* ${format.toUpperCase()} (gzip)`, parse_mode: 'Markdown' }
+            );
+            lines = [];
+            partBytes = Buffer.byteLength(header);
+        };
+
+        // Stream the index; a part is sent whenever the next row would push it past the size cap
+        for await (const f of filesCollection.find(query).sort({ indexed_at: 1 })) {
+            const row = {};
+            EXPORT_FIELDS.forEach(([key, field]) => { row[key] = f[field] ?? null; });
+            const line = format === 'csv' ? EXPORT_FIELDS.map(([key]) => toCsvField(row[key])).join(',') : JSON.stringify(row);
+            const lineBytes = Buffer.byteLength(line) + 1;
+
+            if (partBytes + lineBytes > EXPORT_PART_BYTES) await sendPart();
+            lines.push(line);
+            partBytes += lineBytes;
+            total++;
+        }
+        await sendPart();
+
+        await ctx.telegram.deleteMessage(ctx.chat.id, waitMsg.message_id).catch(() => { });
+        await ctx.reply(`✅ *Export Complete!*\n\n📦 *Files:* ${total}\n🗂️ *Parts:* ${parts}`, { parse_mode: 'Markdown' });
+    } catch (error) {
+        console.error('Error in /export_index command:', error);
+        await ctx.reply('❌ Export failed. Check logs.');
+    }
+});
+
+// Import an exported index (reply to the file). Dry-run by default; "commit" writes it.
+bot.command('import_index', async (ctx) => {
+    if (!isAdmin(ctx.from.id)) return;
+    try {
+        const doc = ctx.message.reply_to_message?.document;
+        if (!doc) {
+            return ctx.reply('❌ Reply to a .jsonl or .csv export (optionally .gz) with this command.\n\nUsage: `/import_index` (dry-run) or `/import_index commit`', { parse_mode: 'Markdown' });
+        }
+        const commit = ctx.message.text.split(' ')[1] === 'commit';
+
+        const link = await ctx.telegram.getFileLink(doc.file_id);
+        const { data: raw } = await axios.get(link.href, { responseType: 'arraybuffer' });
+
+        // Export parts are gzipped; the name under .gz tells the format
+        const isGzip = /\.gz$/i.test(doc.file_name || '');
+        const data = (isGzip ? zlib.gunzipSync(Buffer.from(raw)) : Buffer.from(raw)).toString('utf8');
+        const innerName = (doc.file_name || '').replace(/\.gz$/i, '');
+
+        let rows;
+        if (/\.csv$/i.test(innerName)) {
+            rows = parseCsv(data);
+        } else {
+            rows = data.split(/\r?\n/).filter(line => line.trim()).map(line => {
+                try { return JSON.parse(line); } catch (e) { return null; }
+            });
+        }
+
+        // Classify every row before touching the index
+        const counts = { new: 0, duplicate: 0, invalid: 0 };
+        const seen = new Set();
+        const fresh = [];
+        for (const row of rows) {
+            const fileData = importRowToFileData(row);
+            if (!fileData) {
+                counts.invalid++;
+            } else if (seen.has(fileData.file_unique_id) || await filesCollection.findOne(
+                { $or: [{ _id: fileData.file_id }, { file_ref: fileData.file_unique_id }] },
+                { projection: { _id: 1 } }
+            )) {
+                counts.duplicate++;
+            } else {
+                counts.new++;
+                fresh.push(fileData);
+            }
+            if (fileData) seen.add(fileData.file_unique_id);
+        }
+
+        const report = `🆕 *New:* ${counts.new}\n🔁 *Duplicates:* ${counts.duplicate}\n⚠️ *Invalid:* ${counts.invalid}`;
+        if (!commit) {
+            return ctx.reply(`🧪 *Import Dry-Run*\n\n${report}\n\n_Reply to the file with_ \`/import_index commit\` _to import the new rows._`, { parse_mode: 'Markdown' });
+        }
+
+        const statusMsg = await ctx.reply(`⏳ *Importing ${fresh.length} files...*`, { parse_mode: 'Markdown' });
+        let imported = 0;
+        let failed = 0;
+        for (const fileData of fresh) {
+            const result = await indexFile(fileData);
+            if (result.success) imported++;
+            else failed++;
+        }
+
+        await ctx.telegram.editMessageText(ctx.chat.id, statusMsg.message_id, null,
+            `✅ *Import Complete!*\n\n📥 *Imported:* ${imported}\n❌ *Failed:* ${failed}\n\n${report}`,
+            { parse_mode: 'Markdown' }
+        ).catch(() => { });
+        await sendLog(
+            `📥 *Index Imported*\n\n` +
+            `📄 *File:* ${escapeMarkdown(doc.file_name || 'import')}\n` +
+            `📥 *Imported:* ${imported}\n` +
+            `👤 *Admin:* ${ctx.from.first_name} (${ctx.from.id})`
+        );
+    } catch (error) {
+        console.error('Error in /import_index command:', error);
+        await ctx.reply('❌ Import failed. Make sure the file is a valid export (max 20 MB).');
+    }
 });
 
 // Handle indexing cancellation
@@ -2214,7 +4545,8 @@ bot.on('forward_from_chat', async (ctx) => {
             `📍 *Channel:* ${escapeMarkdown(forwardedFrom.title)}\n` +
             `🆔 *Channel ID:* \`${channelId}\`\n` +
             `📨 *From Message ID:* ${messageId}\n\n` +
-            `⚠️ This will index all files from this message backwards.\n\n` +
+            `⚠️ This will index all files from this message backwards.\n` +
+            `_For a smaller range use_ \`/index ${channelId} ${messageId} <to_message_id>\`\n\n` +
             `Do you want to proceed?`,
             { parse_mode: 'Markdown', ...keyboard }
         );
@@ -2241,10 +4573,10 @@ bot.on('channel_post', async (ctx) => {
         }
     }
 
-    // 2. Auto-indexing from Database Channel
-    if (DATABASE_CHANNEL_ID && chatId === DATABASE_CHANNEL_ID) {
-        const media = message.document || message.video || message.audio;
-        const type = message.document ? 'document' : (message.video ? 'video' : 'audio');
+    // 2. Auto-indexing from registered database channels
+    const sourceChannel = sourceChannels.get(chatId);
+    if (sourceChannel && sourceChannel.auto_index && !sourceChannel.paused) {
+        const { media, type } = extractMedia(message);
 
         console.log(`📂 DB Channel activity detected. Type: ${media ? type : 'none'}`);
 
@@ -2255,16 +4587,22 @@ bot.on('channel_post', async (ctx) => {
                 file_name: media.file_name,
                 file_size: media.file_size,
                 mime_type: media.mime_type,
-                file_type: type
+                file_type: type,
+                caption: message.caption || '',
+                source_chat_id: chatId,
+                source_message_id: message.message_id,
+                media_group_id: message.media_group_id,
+                ...getChannelIndexSettings(chatId)
             });
 
             if (result.success) {
                 console.log(`📥 Auto-indexed from channel: ${media.file_name || 'Media'}`);
                 await sendLog(
                     `📥 *Auto-Indexed from Database Channel*\n\n` +
-                    `📁 *Name:* \`${escapeMarkdown(media.file_name || 'Untitled')}\`\n` +
+                    `📁 *Name:* \`${escapeMarkdownSpan(media.file_name || 'Untitled', '`')}\`\n` +
                     `💾 *Size:* ${formatFileSize(media.file_size)}\n` +
                     `🆔 *Type:* ${type}\n` +
+                    `📍 *Channel:* ${escapeMarkdown(sourceChannel.title || String(chatId))}\n` +
                     `✨ *Status:* Success`
                 );
             } else {
@@ -2275,7 +4613,7 @@ bot.on('channel_post', async (ctx) => {
 
     // 3. Auto-deletion from Delete Channel
     if (DELETE_CHANNEL_ID && chatId === DELETE_CHANNEL_ID) {
-        const media = message.document || message.video || message.audio;
+        const { media } = extractMedia(message);
         if (media) {
             const fileId = media.file_id;
             const fileRef = media.file_unique_id;
@@ -2291,8 +4629,10 @@ bot.on('channel_post', async (ctx) => {
                 ]
             });
 
+            const deleteChannel = { type: 'channel', id: chatId, message_id: message.message_id };
+
             if (file) {
-                await filesCollection.deleteOne({ _id: file._id });
+                await removeIndexedFile(file, { strategy: 'id', by: deleteChannel });
                 console.log(`🗑️ Auto-deleted from DB via ID match: ${file.file_name}`);
             } else {
                 // FALLBACK: Match by size and name (Case-insensitive regex)
@@ -2305,19 +4645,31 @@ bot.on('channel_post', async (ctx) => {
                 });
 
                 if (fallbackFile) {
-                    await filesCollection.deleteOne({ _id: fallbackFile._id });
+                    await removeIndexedFile(fallbackFile, { strategy: 'name_size', by: deleteChannel });
                     console.log(`🗑️ Auto-deleted from DB via legacy fallback (Size+Name): ${fallbackFile.file_name}`);
-                    await sendLog(`🗑️ *Legacy File Deleted (Size+Name Match)*\n\n📁 *Name:* \`${escapeMarkdown(fallbackFile.file_name)}\``);
+                    await sendLog(`🗑️ *Legacy File Deleted (Size+Name Match)*\n\n📁 *Name:* \`${escapeMarkdownSpan(fallbackFile.file_name, '`')}\``);
                 } else {
                     // FINAL FALLBACK: Size match only (if unique)
                     console.log(`� Size+Name match failed. Trying Size-only match for: ${media.file_size}`);
                     const sameSizeFiles = await filesCollection.find({ file_size: media.file_size }).toArray();
 
                     if (sameSizeFiles.length === 1) {
+                        // A size-only match is a guess: an admin must confirm it
                         const target = sameSizeFiles[0];
-                        await filesCollection.deleteOne({ _id: target._id });
-                        console.log(`🗑️ Auto-deleted from DB via unique size match: ${target.file_name}`);
-                        await sendLog(`🗑️ *Legacy File Deleted (Unique Size Match)*\n\n📁 *Name:* \`${escapeMarkdown(target.file_name)}\``);
+                        const targetRef = await getFileCallbackRef(target);
+                        console.log(`❓ Unique size match needs admin confirmation: ${target.file_name}`);
+                        await notifyAdmins(
+                            `❓ *Confirm Deletion (Size Match Only)*\n\n` +
+                            `📤 *Posted:* \`${escapeMarkdownSpan(searchName || 'Untitled', '`')}\`\n` +
+                            `📁 *Matched:* \`${escapeMarkdownSpan(target.file_name, '`')}\`\n` +
+                            `💾 *Size:* ${formatFileSize(target.file_size)}\n\n` +
+                            `_Only the size matches. Delete the indexed file?_`,
+                            Markup.inlineKeyboard([[
+                                Markup.button.callback('✅ Delete', `sdc_y:${targetRef}`),
+                                Markup.button.callback('❌ Keep', 'sdc_n')
+                            ]])
+                        );
+                        await sendLog(`❓ *Size-Only Delete Match Awaiting Admin*\n\n📁 *Name:* \`${escapeMarkdownSpan(target.file_name, '`')}\``);
                     } else if (sameSizeFiles.length > 1) {
                         console.log(`⚠️ Delete request ignored: Multiple files (${sameSizeFiles.length}) found with size ${media.file_size}. Specify name for safety.`);
                     } else {
@@ -2329,11 +4681,60 @@ bot.on('channel_post', async (ctx) => {
     }
 });
 
+// Handle edited posts in source channels (renamed files / fixed captions)
+bot.on('edited_channel_post', async (ctx) => {
+    try {
+        const message = ctx.editedChannelPost;
+        const chatId = ctx.chat.id;
+        if (!sourceChannels.has(chatId)) return;
+
+        const { media } = extractMedia(message);
+        if (!media) return;
+
+        const file = await filesCollection.findOne({
+            $or: [{ file_ref: media.file_unique_id }, { _id: media.file_id }]
+        });
+        if (!file) {
+            console.log(`✏️ Edited post ${message.message_id} in ${chatId} has no indexed file; ignoring.`);
+            return;
+        }
+
+        const update = {
+            ...buildFileNameFields({
+                file_name: media.file_name,
+                caption: message.caption || '',
+                ...getChannelIndexSettings(chatId)
+            }),
+            raw_name: media.file_name || message.caption || 'Untitled Media',
+            caption: message.caption || '',
+            source_chat_id: chatId,
+            source_message_id: message.message_id,
+            meta_v: FILE_META_VERSION
+        };
+
+        await filesCollection.updateOne({ _id: file._id }, { $set: update });
+        if (update.file_name !== file.file_name) {
+            await updateTermIndex(file.file_name, -1);
+            await updateTermIndex(update.file_name, 1);
+        }
+
+        console.log(`✏️ Updated indexed file from edited post: ${update.file_name}`);
+        await sendLog(
+            `✏️ *Indexed File Updated*\n\n` +
+            `📁 *Old:* \`${escapeMarkdownSpan(file.file_name, '`')}\`\n` +
+            `📁 *New:* \`${escapeMarkdownSpan(update.file_name, '`')}\`\n` +
+            `📝 *Caption Changed:* ${(file.caption || '') !== update.caption ? 'Yes' : 'No'}\n` +
+            `📍 *Channel:* ${escapeMarkdown(sourceChannels.get(chatId).title || String(chatId))}`
+        );
+    } catch (e) {
+        console.error('Edited channel post error:', e);
+    }
+});
+
 // Handle document/media messages from Admin (Manual Indexing)
-bot.on(['document', 'video', 'audio'], async (ctx) => {
+bot.on(['document', 'video', 'audio', 'photo', 'animation'], async (ctx) => {
     if (ctx.chat.type === 'private' && isAdmin(ctx.from.id)) {
-        const media = ctx.message.document || ctx.message.video || ctx.message.audio;
-        const type = ctx.message.document ? 'document' : (ctx.message.video ? 'video' : 'audio');
+        const { media, type } = extractMedia(ctx.message);
 
         const result = await indexFile({
             file_id: media.file_id,
@@ -2342,7 +4743,10 @@ bot.on(['document', 'video', 'audio'], async (ctx) => {
             file_size: media.file_size,
             mime_type: media.mime_type,
             file_type: type,
-            caption: ctx.message.caption || ''
+            caption: ctx.message.caption || '',
+            source_chat_id: ctx.chat.id,
+            source_message_id: ctx.message.message_id,
+            media_group_id: ctx.message.media_group_id
         });
 
         if (result.success) {
@@ -2360,7 +4764,10 @@ bot.on(['document', 'video', 'audio'], async (ctx) => {
             const keyboard = Markup.inlineKeyboard([
                 [Markup.button.callback('🗑️ Delete from DB', `delete_confirm_${callbackId}`)]
             ]);
-            await ctx.reply(`⚠️ *Media already indexed:*\n📁 ${media.file_name || ctx.message.caption || 'Untitled'}\n\nDo you want to remove it?`, { parse_mode: 'Markdown', ...keyboard });
+            const storedAs = result.existing && result.existing.file_name !== (media.file_name || ctx.message.caption)
+                ? `\n🗂️ Stored as: ${result.existing.file_name}`
+                : '';
+            await ctx.reply(`⚠️ *Media already indexed:*\n📁 ${media.file_name || ctx.message.caption || 'Untitled'}${storedAs}\n\nDo you want to remove it?`, { parse_mode: 'Markdown', ...keyboard });
         } else {
             await ctx.reply(`⚠️ ${result.message}`);
         }
@@ -2392,6 +4799,103 @@ bot.on('my_chat_member', async (ctx) => {
     }
 });
 
+// Helper: Build a cached inline result for an indexed file (same media type deliverFile uses)
+// id: the file's callback ref, so chosen_inline_result can find the file again
+function buildInlineResult(file, id) {
+    const caption = `🎬 *${escapeMarkdownSpan(file.file_name, '*')}*\n\n📦 *Size:* ${formatFileSize(file.file_size)}`;
+    const description = [formatFileSize(file.file_size), file.quality, LANGUAGES[file.file_lang]].filter(Boolean).join(' • ');
+    const common = {
+        id,
+        caption,
+        parse_mode: 'Markdown',
+        reply_markup: Markup.inlineKeyboard([[Markup.button.url('🍿 Join Main Channel', FSUB_LINK)]]).reply_markup
+    };
+
+    if (file.file_type === 'video') {
+        return { type: 'video', video_file_id: file._id, title: file.file_name, description, ...common };
+    }
+    if (file.file_type === 'audio') {
+        return { type: 'audio', audio_file_id: file._id, ...common };
+    }
+    if (file.file_type === 'photo') {
+        return { type: 'photo', photo_file_id: file._id, title: file.file_name, description, ...common };
+    }
+    if (file.file_type === 'animation') {
+        // Telegram stores most animations as silent MP4s
+        return file.mime_type === 'video/mp4'
+            ? { type: 'mpeg4_gif', mpeg4_file_id: file._id, title: file.file_name, ...common }
+            : { type: 'gif', gif_file_id: file._id, title: file.file_name, ...common };
+    }
+    return { type: 'document', document_file_id: file._id, title: file.file_name, description, ...common };
+}
+
+// Handle inline search (@bot query) with the same filters and paging as chat search
+bot.on('inline_query', async (ctx) => {
+    try {
+        const denial = await getAccessDenial(ctx.from.id);
+        if (denial) {
+            return ctx.answerInlineQuery([], {
+                cache_time: 0,
+                is_personal: true,
+                button: {
+                    text: denial === 'maintenance' ? '🚧 Bot is under maintenance' : '⛔ You are banned from this bot',
+                    start_parameter: 'inline'
+                }
+            });
+        }
+
+        const text = ctx.inlineQuery.query.trim();
+        if (text.length < 2) {
+            return ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+        }
+
+        // Inline results hand out cached files directly: each pick is charged (chosen_inline_result below),
+        // no more results are offered than there are files left today, and none once the quota is used up
+        const filesLeft = isAdmin(ctx.from.id) ? Infinity : (await getQuotaStatus(ctx.from.id)).filesLeft;
+        if (filesLeft === 0) {
+            return ctx.answerInlineQuery([], {
+                cache_time: 0,
+                is_personal: true,
+                button: { text: `🚫 Daily file limit reached (resets in ${formatQuotaReset()})`, start_parameter: 'quota' }
+            });
+        }
+
+        const page = parseInt(ctx.inlineQuery.offset) || 0;
+        const parsed = parseSearchQuery(text);
+        const searchResult = await searchFiles(parsed.query, page, parsed.filters, INLINE_RESULTS_PER_PAGE, { track: false });
+        const files = searchResult.files.slice(0, filesLeft);
+
+        const results = [];
+        for (const file of files) results.push(buildInlineResult(file, await getFileCallbackRef(file)));
+
+        // No caching: the quota check above must see every query
+        await ctx.answerInlineQuery(results, {
+            cache_time: 0,
+            is_personal: true,
+            next_offset: searchResult.hasNext && files.length === searchResult.files.length ? String(page + 1) : ''
+        });
+    } catch (e) {
+        console.error('Inline query error:', e);
+    }
+});
+
+// Charge the daily quota for a sent inline result (needs inline feedback on: @BotFather /setinlinefeedback)
+bot.on('chosen_inline_result', async (ctx) => {
+    try {
+        const ref = ctx.chosenInlineResult.result_id;
+        const file = await filesCollection.findOne({ $or: [{ file_ref: ref }, { short_ref: ref }] });
+        if (!file) return;
+
+        // The file is already in the chat; a pick past the limit is only logged
+        if (!await consumeQuota(ctx.from.id, 1)) {
+            console.log(`⚠️ Inline pick over quota by ${ctx.from.id}: ${file.file_name}`);
+        }
+        await logDelivery(ctx, [file]);
+    } catch (e) {
+        console.error('Chosen inline result error:', e);
+    }
+});
+
 // Handle keyword search in groups and PMs
 bot.on('text', async (ctx) => {
     if (!await checkUser(ctx)) return;
@@ -2436,17 +4940,11 @@ bot.on('text', async (ctx) => {
 
                     await ctx.telegram.deleteMessage(ctx.chat.id, waitMsg.message_id).catch(() => { });
 
-                    // Auto-delete user's link message and the bot's video message after 1 hour
-                    setTimeout(async () => {
-                        try {
-                            // Delete bot's video message
-                            await ctx.telegram.deleteMessage(ctx.chat.id, videoMsg.message_id).catch(() => { });
-                            // Delete user's link message
-                            await ctx.telegram.deleteMessage(ctx.chat.id, ctx.message.message_id).catch(() => { });
-                        } catch (e) {
-                            console.error('Auto-delete error (Video Downloader):', e.message);
-                        }
-                    }, AUTO_DELETE_SECONDS * 1000);
+                    // Auto-delete the bot's video message and the user's link message after 1 hour
+                    await scheduleDeletion([
+                        { chat_id: ctx.chat.id, message_id: videoMsg.message_id },
+                        { chat_id: ctx.chat.id, message_id: ctx.message.message_id }
+                    ], AUTO_DELETE_SECONDS);
 
                 } catch (err) {
                     console.error('Error sending video:', err.message);
@@ -2456,9 +4954,7 @@ bot.on('text', async (ctx) => {
                 await ctx.telegram.editMessageText(ctx.chat.id, waitMsg.message_id, null, `❌ *Error:* ${result.message}`, { parse_mode: 'Markdown' });
                 // Delete user's link message after some time even if it fails? 
                 // Let's just delete the error message after 30 seconds for cleanliness
-                setTimeout(() => {
-                    ctx.telegram.deleteMessage(ctx.chat.id, waitMsg.message_id).catch(() => { });
-                }, 30000);
+                await scheduleDeletion([{ chat_id: ctx.chat.id, message_id: waitMsg.message_id }], 30);
             }
             return; // Stop processing further (no movie search)
         }
@@ -2520,7 +5016,8 @@ bot.on('text', async (ctx) => {
         const startTime = Date.now();
         const groupReply = ctx.chat.type !== 'private' ? { reply_to_message_id: ctx.message.message_id } : {};
         const dutyMsg = await ctx.reply('🔍 *Noir is on duty...*', { parse_mode: 'Markdown', ...groupReply });
-        await sendSearchResults(ctx, message, 0, {}, false, startTime);
+        const parsed = parseSearchQuery(message);
+        await sendSearchResults(ctx, parsed.query, 0, parsed.filters, false, startTime);
         // Clean up the "on duty" message after result is sent
         setTimeout(() => {
             ctx.telegram.deleteMessage(ctx.chat.id, dutyMsg.message_id).catch(() => { });
@@ -2557,8 +5054,9 @@ async function startBot() {
         console.log(`✅ Admin IDs configured: ${ADMIN_IDS.join(', ')}`);
     }
 
-    if (DATABASE_CHANNEL_ID) {
-        console.log(`✅ Auto-indexing enabled from channel: ${DATABASE_CHANNEL_ID}`);
+    const autoIndexChannels = [...sourceChannels.values()].filter(c => c.auto_index && !c.paused);
+    if (autoIndexChannels.length > 0) {
+        console.log(`✅ Auto-indexing enabled from channels: ${autoIndexChannels.map(c => c._id).join(', ')}`);
     }
 
     if (LOG_CHANNEL_ID) {